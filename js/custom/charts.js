@@ -7,11 +7,19 @@
 
     chartContainer = document.querySelector('.chart');
 
+    // Gawker's platform (Kinja) serves it from domains that can't be told apart from third
+    //  parties automatically
     chart = new D3HarChart(chartContainer, {
-        firstPartyHosts: ['kinja.com', 'gawker.com', 'kinja-img.com', 'kinja-static.com']
+        detectFirstParty: true,
+        firstPartyHosts: ['kinja.com', 'kinja-img.com', 'kinja-static.com']
     });
 
-    chart.displayFile('chart-data/gawker.com.wpt.har.json', function () {
+    // Redraws with the full provider list if it arrives after the chart is drawn
+    chart.loadProviders('chart-data/providers.json').catch(function (error) {
+        console.error(error);
+    });
+
+    chart.streamFile('chart-data/gawker.com.wpt.har.json', function () {
 
         window.harChart = chart; // for referencing of parent chart from presenter window
 
@@ -30,6 +38,31 @@
                     mainWindow.harChart.emit('itemDeselected', mainWindow.document.getElementById(element.id));
                 }
             });
+
+            chart.on('itemPinned', function (element, data) {
+                if (mainWindow.harChart) {
+                    mainWindow.harChart.pinItem(mainWindow.document.getElementById(element.id), data);
+                }
+            });
+
+            chart.on('itemUnpinned', function (element, data) {
+                if (mainWindow.harChart) {
+                    mainWindow.harChart.unpinItem(data);
+                }
+            });
+
+            // Mirror interactive zooming (e.g. during Q&A) in the audience window
+            chart.on('panZoom', function (bounds, animated) {
+                if (mainWindow.harChart) {
+                    mainWindow.harChart.panZoomTo(bounds, animated);
+                }
+            });
+
+            chart.on('panZoomReset', function () {
+                if (mainWindow.harChart) {
+                    mainWindow.harChart.resetPanZoom();
+                }
+            });
         }
 
         chart.on('itemSelected', function () {
@@ -67,13 +100,19 @@
             stateTransitions.out[state] = transitionOut || function () {};
         }
 
-        function handleStateChange(previousState, currentState) {
+        /**
+         * @param {string} [previousState]
+         * @param {string} [currentState]
+         * @param {boolean} [toSlideView] - whether the new slide declares a chart view instead of
+         *   a state (see showSlideView), so the previous state is transitioned out of
+         */
+        function handleStateChange(previousState, currentState, toSlideView) {
             if (currentState === previousState) {
                 return;
             }
 
             if (previousState) {
-                if (currentState && stateTransitions.out[previousState]) {
+                if ((currentState || toSlideView) && stateTransitions.out[previousState]) {
                     stateTransitions.out[previousState]();
                 }
                 chart.chartEl.classed(toClassName(previousState), false);
@@ -87,32 +126,123 @@
             }
         }
 
+        function resetZoom() {
+            chart.zoomToItems();
+        }
+
+        /**
+         * Gets a filter from one of a slide's data-chart-* attributes: a JSON tag rule (see
+         * har-chart-tag-rules.js), or the name of a file tag.
+         *
+         * @param {Element} slide
+         * @param {string} name - attribute name, without 'data-chart-'
+         * @returns {function|null} filter, or null if the attribute is missing or invalid
+         */
+        function getSlideFilter(slide, name) {
+            var value = slide.getAttribute('data-chart-' + name),
+                rule;
+
+            if (!value) {
+                return null;
+            }
+            try {
+                rule = D3HarChart.compileTagRule(/^\s*\{/.test(value) ? JSON.parse(value) : {tag: value.trim()});
+            } catch (e) {
+                console.error('Invalid data-chart-' + name + ' on slide: ' + e.message);
+                return null;
+            }
+            return function (item) {
+                return rule.call(chart, item);
+            };
+        }
+
+        /**
+         * Shows the chart view declared by a slide's attributes, so that slides can zoom and
+         * highlight without a registered state:
+         *   - data-chart-filter: zooms to the matching requests,
+         *   - data-chart-zoom-margin: with data-chart-filter, space to leave around them (a
+         *     fraction of their extent),
+         *   - data-chart-highlight: shows the matching requests in their file type's color,
+         *     dimming the rest,
+         *   - data-chart-dim: dims the matching requests.
+         * Filters are JSON tag rules or file tag names, e.g.
+         * data-chart-filter='{"tag": "firstParty", "type": "image"}' or data-chart-dim="firstParty".
+         */
+        function showSlideView(slide) {
+            var margin = slide.getAttribute('data-chart-zoom-margin'),
+                filter = getSlideFilter(slide, 'filter');
+
+            if (filter) {
+                chart.zoomToItems(filter, margin ? Number(margin) : undefined);
+            }
+            chart.highlightItems(getSlideFilter(slide, 'highlight'), getSlideFilter(slide, 'dim'));
+        }
+
+        function hasSlideView(slide) {
+            return ['filter', 'highlight', 'dim'].some(function (name) {
+                return slide.hasAttribute('data-chart-' + name);
+            });
+        }
+
         // Listen to slidechanged, rather than state changes, to work
         //  around event ordering issues.
         Reveal.addEventListener('slidechanged', function onSlideChanged(e) {
-            handleStateChange(e.previousSlide.dataset.state, e.currentSlide.dataset.state);
+            if (e.previousSlide.hasAttribute('data-chart-filter') && !e.currentSlide.hasAttribute('data-chart-filter')) {
+                resetZoom();
+            }
+            handleStateChange(e.previousSlide.dataset.state, e.currentSlide.dataset.state, hasSlideView(e.currentSlide));
+            showSlideView(e.currentSlide);
 
             e.currentSlide.classList.remove('tooltip-open');  // remove any stray open-tooltip styling
         });
 
+        /**
+         * Gets the replay time of a fragment's data-playhead attribute: ms, or a milestone name.
+         */
+        function getFragmentPlayhead(fragment) {
+            var playhead = fragment.dataset.playhead;
+            return isNaN(playhead) ? playhead : Number(playhead);
+        }
+
+        // Fragments with a data-playhead attribute move the replay playhead as they are stepped
+        //  through, and back to the previous fragment's time as they are stepped back through.
+        Reveal.addEventListener('fragmentshown', function (e) {
+            if (e.fragment.dataset.playhead !== undefined) {
+                chart.seekReplay(getFragmentPlayhead(e.fragment));
+            }
+        });
+
+        Reveal.addEventListener('fragmenthidden', function (e) {
+            var visible;
+
+            if (e.fragment.dataset.playhead === undefined) {
+                return;
+            }
+            visible = Reveal.getCurrentSlide().querySelectorAll('.fragment.visible[data-playhead]');
+            chart.seekReplay(visible.length ? getFragmentPlayhead(visible[visible.length - 1]) : 0);
+        });
+
+        /**
+         * Gets the top-level slide (or vertical stack of slides) a slide is in.
+         */
+        function getTopSlide(slide) {
+            var parentNode = slide.parentNode;
+            return parentNode.tagName.toLowerCase() === 'section' ? parentNode : slide;
+        }
+
         /**
          * To use the same D3 chart in multiple slide stacks we swap it and a
          * placeholder if necessary.
          */
         function moveChartIfNeeded(currentSlide) {
-            var topSlide = currentSlide,
-                parentNode,
+            var topSlide,
                 chartPlaceholder;
 
             if (!currentSlide) {
                 return;
             }
 
-            parentNode = topSlide.parentNode;
-
-            if (parentNode.tagName.toLowerCase() === 'section') {
-                topSlide = parentNode;
-            }
+            topSlide = getTopSlide(currentSlide);
 
             chartPlaceholder = topSlide.querySelector('.chart-placeholder');
             if (chartPlaceholder) {
@@ -126,51 +256,103 @@
         // See if we need to move the SVG chart over to the new slide
         Reveal.addEventListener('slidechanged', function onSlideChangedMoveSVG(e) {
             moveChartIfNeeded(e.currentSlide);
+            chart.layoutLabels();  // chart may not have been visible when first drawn
         });
 
-        function resetZoom() {
-            chart.zoomToItems();
-        }
-
         registerStateChange('chartInitial', resetZoom);
 
-        registerStateChange('chartHighlightScripts',
+        registerStateChange('chartConnections',
             function () {
-                chart.zoomToItems(function (item) {
-                    return (item.type === 'script');
-                });
+                chart.setLayout('connections');
             },
-            resetZoom);
+            function () {
+                chart.setLayout('requests');
+            });
 
-        registerStateChange('chartZoomFirstparty',
+        // Same page loaded again with a warm cache (WebPageTest "Repeat View")
+        registerStateChange('chartRepeatView',
             function () {
-                chart.zoomToItems(function (item) {
-                    return (item.tags.firstParty && !item.tags.stats);
-                }, 0.1);
-            }, resetZoom);
+                chart.showPage(chart.pages[1].id);
+            },
+            function () {
+                chart.showPage(chart.pages[0].id);
+            });
 
-        registerStateChange('chartZoomFirstpartyImages',
+        // Repeat view drawn over the first view, to show what the cache saves
+        registerStateChange('chartCompareRepeatView',
             function () {
-                chart.zoomToItems(function (item) {
-                    return (item.tags.firstParty && !item.tags.stats && item.type === 'image');
-                }, 0.1);
-            }, resetZoom);
+                chart.compareWith([{
+                    harObject: chart.harObject,
+                    pageId: chart.pages[1].id,
+                    label: 'Repeat view'
+                }]);
+            },
+            function () {
+                chart.endComparison();
+            });
 
-        registerStateChange('chartZoomFirstpartyIgnoreImages',
+        registerStateChange('chartReplay',
             function () {
-                chart.zoomToItems(function (item) {
-                    return (item.tags.firstParty && !item.tags.stats && item.type !== 'image');
-                }, 0.1);
-            }, resetZoom);
+                chart.startReplay();
+            },
+            function () {
+                chart.stopReplay();
+            });
 
-        registerStateChange('chartZoomMainScripts',
+        // Everything the script loader pulled in (the slide zooms to the main scripts)
+        registerStateChange('chartScriptLoaderDependencies',
+            function () {
+                // to show the idle network (and main thread) after require.js
+                chart.showTracks(['concurrency', 'bandwidth', 'cpu']);
+                chart.highlightDependencies(function (item) {
+                    return Boolean(item.tags.scriptLoader);
+                });
+            },
             function () {
-                chart.zoomToItems(function (item) {
-                    return Boolean(item.tags.mainScript);
-                }, 0.1);
-            }, resetZoom);
+                chart.highlightDependencies();
+                chart.showTracks([]);
+            });
+
+        chart.enableInteraction();
+
+        /**
+         * Downloads the chart as shown on the current slide, if it's on this slide.
+         *
+         * @param {string} format - 'png' or 'svg'
+         */
+        function downloadCurrentChart(format) {
+            var slide = Reveal.getCurrentSlide(),
+                indices = Reveal.getIndices();
+
+            if (!slide || !getTopSlide(slide).contains(chartContainer)) {
+                return;
+            }
+            chart.downloadExport(format, 'chart-' + (slide.id || indices.h + '-' + (indices.v || 0)) + '.' + format, 2)
+                .catch(function (error) {
+                    console.error(error);
+                });
+        }
+
+        // E downloads the current slide's chart as a PNG
+        Reveal.configure({
+            keyboard: {
+                69: function () {
+                    downloadCurrentChart('png');
+                }
+            }
+        });
+
+        // Shift+E as an SVG. Reveal ignores keys pressed with Shift, so this can't be one of its
+        //  bindings.
+        document.addEventListener('keydown', function (e) {
+            if (e.keyCode === 69 && e.shiftKey && !e.altKey && !e.ctrlKey && !e.metaKey &&
+                    !/input|textarea/i.test(e.target.tagName || '')) {
+                downloadCurrentChart('svg');
+            }
+        });
 
         moveChartIfNeeded(Reveal.getCurrentSlide());
+        chart.layoutLabels();
 
         // Set an initial zoom on chart so we get a zoom-out effect when displaying it
         chart.zoomToItems(function (item) {
@@ -179,6 +361,7 @@
 
         // Handle initial transition-in if we started on a slide with a state
         handleStateChange(null, Reveal.getCurrentSlide().dataset.state);
+        showSlideView(Reveal.getCurrentSlide());
     });
 
 }());
@@ -0,0 +1,218 @@
+/*global D3HarChart, d3*/
+
+/**
+ * Keyboard and screen reader support for D3HarChart.
+ *
+ * Request bars can be focused (one at a time, with a roving tabindex) and traversed with the
+ * arrow keys, Home and End; focusing a bar shows its tooltip, as hovering does. Enter opens or
+ * closes the bar's detail panel (see har-chart-details.js), and Escape closes the most recently
+ * opened one. Each bar is labelled for screen readers, and the same information is available in
+ * a visually hidden table of requests.
+ */
+(function () {
+    'use strict';
+
+    var displayObject = D3HarChart.prototype.displayObject,
+        drawPage = D3HarChart.prototype.drawPage,
+        drawItems = D3HarChart.prototype.drawItems;
+
+    function msToRoundedS(ms) {
+        var seconds = ms / 1000;
+        return Math.round(seconds * 100) / 100 + 's';
+    }
+
+    /**
+     * Same formatting of provider names as the bundled tooltip ("googleAnalytics" => "Google Analytics").
+     */
+    function getProvidersDisplayName(providers) {
+        return Object.keys(providers).filter(function (providerName) {
+            return Boolean(providers[providerName]);
+        }).map(function (providerName) {
+            providerName = providerName.replace(/([a-z])([A-Z])/g, '$1 $2');
+            return providerName.charAt(0).toUpperCase() + providerName.slice(1);
+        }).join(' / ');
+    }
+
+    /**
+     * Columns of the data table, with how to get each cell's text from an item.
+     */
+    var TABLE_COLUMNS = [
+        {label: 'URL', value: function (d) { return d.url; }},
+        {label: 'Type', value: function (d) { return d.type; }},
+        {label: 'Provider', value: function (d) { return getProvidersDisplayName(d.providers) || 'None'; }},
+        {label: 'Start', value: function (d) { return msToRoundedS(d.start); }},
+        {label: 'Duration', value: function (d) { return msToRoundedS(d.duration); }},
+        {label: 'End', value: function (d) { return msToRoundedS(d.end); }}
+    ];
+
+    /**
+     * Describes an item in words, for use as its accessible label.
+     *
+     * @param {object} d - item, as returned by getRequestsFromHar
+     * @returns {string} e.g. "gawker.com/main.js, script from Google Analytics, starts at 1.2s, takes 0.34s"
+     */
+    D3HarChart.describeItem = function (d) {
+        var provider = getProvidersDisplayName(d.providers);
+
+        return d.url + ', ' + d.type + (provider ? ' from ' + provider : '') +
+            ', starts at ' + msToRoundedS(d.start) + ', takes ' + msToRoundedS(d.duration);
+    };
+
+    D3HarChart.prototype.displayObject = function (harObject, pageId) {
+        var instance = this;
+
+        displayObject.call(this, harObject, pageId);
+
+        this.chartEl
+            .attr('role', 'list')
+            .attr('aria-label', 'Waterfall chart of requests. Use the arrow keys to move between requests, ' +
+                'Enter to show or hide details and Escape to close them.')
+            .on('keydown', function () {
+                instance.onItemKeyDown(d3.event);
+            });
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        drawPage.call(this, data, duration);
+        this.drawDataTable(data);
+    };
+
+    D3HarChart.prototype.drawItems = function (data, duration) {
+        var instance = this,
+            items = drawItems.call(this, data, duration),
+            focused = this.focusedItem;
+
+        // Only one item is in the tab order at a time: the last one focused, or else the first
+        if (!focused || data.indexOf(focused) === -1) {
+            focused = this.focusedItem = data[0];
+        }
+
+        items
+            .attr('role', 'listitem')
+            .attr('aria-label', D3HarChart.describeItem)
+            .attr('tabindex', function (d) {
+                return d === focused ? 0 : -1;
+            })
+            .on('focus', function (d) {
+                instance.focusedItem = d;
+                instance.items.attr('tabindex', function (item) {
+                    return item === d ? 0 : -1;
+                });
+                instance.emit('itemSelected', this, d);
+            })
+            .on('blur', function (d) {
+                instance.emit('itemDeselected', this, d);
+            });
+
+        return items;
+    };
+
+    /**
+     * Moves focus to another item, by its index in the chart's data.
+     *
+     * @param {number} index - clamped to the first or last item
+     */
+    D3HarChart.prototype.focusItem = function (index) {
+        var nodes = this.items[0],
+            node;
+
+        index = Math.max(0, Math.min(index, nodes.length - 1));
+        node = nodes[index];
+        if (node) {
+            node.focus({preventScroll: true});  // don't let the browser scroll the slide
+        }
+    };
+
+    /**
+     * Handles keyboard traversal of items. Handled keys don't reach Reveal, so arrow keys move
+     * between requests rather than slides while the chart has focus.
+     *
+     * @param {KeyboardEvent} e
+     */
+    D3HarChart.prototype.onItemKeyDown = function (e) {
+        var data = this.items.data(),
+            index = data.indexOf(this.focusedItem),
+            focusedElement = this.items[0][index];
+
+        switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+        case 'Down':  // IE / old Edge
+        case 'Right':
+            this.focusItem(index + 1);
+            break;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+        case 'Up':
+        case 'Left':
+            this.focusItem(index - 1);
+            break;
+        case 'Home':
+            this.focusItem(0);
+            break;
+        case 'End':
+            this.focusItem(data.length - 1);
+            break;
+        case 'Enter':
+            this.togglePinItem(focusedElement, this.focusedItem);
+            break;
+        case 'Escape':
+        case 'Esc':
+            if (!this.pinnedItems || !this.pinnedItems.length) {
+                return;  // let Reveal handle it
+            }
+            this.unpinItem(this.pinnedItems[this.pinnedItems.length - 1]);
+            break;
+        default:
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+    };
+
+    /**
+     * Lists the requests shown in a table that is hidden visually but read by screen readers,
+     * as an alternative to the chart.
+     *
+     * @param {Array} data - items, as returned by getRequestsFromHar
+     */
+    D3HarChart.prototype.drawDataTable = function (data) {
+        var page = D3HarChart.getHarPage(this.harObject, this.currentPage),
+            rows,
+            cells;
+
+        if (!this.dataTableEl) {
+            this.dataTableEl = d3.select(this.element).append('table').attr('class', 'chart-data-table');
+            this.dataTableEl.append('caption');
+            this.dataTableEl.append('thead').append('tr').selectAll('th')
+                .data(TABLE_COLUMNS)
+                .enter().append('th')
+                .attr('scope', 'col')
+                .text(function (column) {
+                    return column.label;
+                });
+            this.dataTableEl.append('tbody');
+        }
+
+        this.dataTableEl.select('caption').text('Requests made by ' + (page.title || page.id));
+
+        rows = this.dataTableEl.select('tbody').selectAll('tr').data(data, function (d) {
+            return d.key;
+        });
+        rows.exit().remove();
+        rows.enter().append('tr');
+        rows.order();
+
+        cells = rows.selectAll('td').data(function (d) {
+            return TABLE_COLUMNS.map(function (column) {
+                return column.value(d);
+            });
+        });
+        cells.enter().append('td');
+        cells.text(function (value) {
+            return value;
+        });
+    };
+
+}());
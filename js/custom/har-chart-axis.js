@@ -0,0 +1,166 @@
+/*global D3HarChart, d3*/
+
+/**
+ * Time axis, gridlines and per-row URL labels for D3HarChart.
+ *
+ * These are drawn into a separate, unscaled SVG layered over the chart, and redrawn whenever
+ * the chart is zoomed, so that text stays readable and ticks match the visible time window.
+ * Gridlines are hidden unless enabled with the `gridlines` option or a slide state
+ * (.chart-show-gridlines).
+ */
+(function () {
+    'use strict';
+
+    var AXIS_HEIGHT = 24,
+        MIN_LABEL_ROW_HEIGHT = 10,  // px; don't label rows smaller than this
+        MIN_TICK_SPACING = 80;      // px
+
+    var displayObject = D3HarChart.prototype.displayObject;
+
+    function formatSeconds(ms) {
+        return Math.round(ms) / 1000 + 's';
+    }
+
+    D3HarChart.prototype.displayObject = function (harObject, pageId) {
+        var instance = this;
+
+        displayObject.call(this, harObject, pageId);
+
+        this.annotationsEl = d3.select(this.element).append('svg')
+            .attr('class', 'chart-annotations')
+            .classed('show-gridlines', Boolean(this.options.gridlines));
+        this.gridEl = this.annotationsEl.append('g').attr('class', 'grid');
+        this.rowLabelsEl = this.annotationsEl.append('g').attr('class', 'row-labels');
+        this.axisEl = this.annotationsEl.append('g').attr('class', 'axis');
+
+        // Emitted on resize, zoom, page and layout changes
+        this.on('layout', function (unitsPerPixel, duration) {
+            instance.drawAnnotations(duration);
+        });
+
+        this.drawAnnotations(0);
+    };
+
+    /**
+     * Gets scales mapping the currently visible window of the chart (in ms and SVG units) to
+     * pixels in the annotation layer.
+     *
+     * @returns {object|null} `x` and `y` d3 scales, or null if the chart isn't currently displayed
+     */
+    D3HarChart.prototype.getVisibleScales = function () {
+        var node = this.annotationsEl.node(),
+            chartHeight = this.chartEl.node().clientHeight,  // may leave room for tracks below
+            zoom = this.zoom || {x0: 0, x1: this.dimensions.width, y0: 0, y1: this.dimensions.height};
+
+        if (!node.clientWidth || !chartHeight) {
+            return null;
+        }
+
+        return {
+            x: d3.scale.linear().domain([zoom.x0, zoom.x1]).range([0, node.clientWidth]),
+            y: d3.scale.linear().domain([zoom.y0, zoom.y1]).range([0, chartHeight])
+        };
+    };
+
+    /**
+     * Redraws the axis, gridlines and row labels for the visible window of the chart.
+     *
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.drawAnnotations = function (duration) {
+        var scales = this.getVisibleScales(),
+            height,
+            axis,
+            grid;
+
+        if (!scales) {
+            return;  // not currently displayed
+        }
+
+        height = scales.y.range()[1] - AXIS_HEIGHT;
+
+        axis = d3.svg.axis()
+            .scale(scales.x)
+            .orient('bottom')
+            .ticks(Math.max(Math.floor(scales.x.range()[1] / MIN_TICK_SPACING), 2))
+            .tickFormat(formatSeconds);
+
+        grid = d3.svg.axis()
+            .scale(scales.x)
+            .orient('bottom')
+            .ticks(axis.ticks()[0])
+            .tickSize(-height, 0)
+            .tickFormat('');
+
+        this.axisEl.attr('transform', 'translate(0,' + height + ')');
+        D3HarChart.animate(this.axisEl, duration).call(axis);
+
+        this.gridEl.attr('transform', 'translate(0,' + height + ')');
+        D3HarChart.animate(this.gridEl, duration).call(grid);
+
+        this.drawRowLabels(scales, duration);
+    };
+
+    /**
+     * Labels each visible bar with its URL, placed before the bar (or after it, if there's no
+     * room before). Skipped when rows are too small to label legibly, and in the connection
+     * view (which has its own lane labels).
+     *
+     * @param {object} scales - as returned by getVisibleScales
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.drawRowLabels = function (scales, duration) {
+        var config = this.options,
+            instance = this,
+            rowHeight = config.itemHeight + config.itemMargin,
+            rowPixels = scales.y(rowHeight) - scales.y(0),
+            data = this.items.data(),
+            timeWindow = scales.x.domain(),
+            rowWindow = scales.y.domain(),
+            visible = [],
+            labels;
+
+        function getRow(d) {
+            return instance.getItemRow(d, data.indexOf(d));
+        }
+
+        function labelBefore(d) {
+            return scales.x(d.start) > scales.x.range()[1] / 3;
+        }
+
+        if (rowPixels >= MIN_LABEL_ROW_HEIGHT && this.itemLayout !== 'connections') {
+            visible = data.filter(function (d) {
+                var top = getRow(d) * rowHeight;
+                return top >= rowWindow[0] && top + rowHeight <= rowWindow[1] &&
+                    d.end >= timeWindow[0] && d.start <= timeWindow[1];
+            });
+        }
+
+        labels = this.rowLabelsEl.selectAll('text.row-label').data(visible, function (d) {
+            return d.key;
+        });
+
+        labels.exit().remove();
+        labels.enter().append('text')
+            .attr('class', 'row-label')
+            .attr('dy', '0.35em');
+
+        labels
+            .text(function (d) {
+                return d.url;
+            })
+            .style('font-size', Math.min(rowPixels * 0.8, 14) + 'px')
+            .attr('text-anchor', function (d) {
+                return labelBefore(d) ? 'end' : 'start';
+            });
+
+        D3HarChart.animate(labels, duration)
+            .attr('x', function (d) {
+                return labelBefore(d) ? scales.x(d.start) - 4 : scales.x(d.end) + 4;
+            })
+            .attr('y', function (d) {
+                return scales.y(getRow(d) * rowHeight + config.itemHeight / 2);
+            });
+    };
+
+}());
@@ -0,0 +1,323 @@
+/*global D3HarChart, d3, document, window*/
+
+/**
+ * Canvas renderer for D3HarChart, for page loads with thousands of requests (long-running
+ * single-page app captures, ad-heavy pages), where an SVG rect per timing phase makes
+ * transitions and zooming sluggish.
+ *
+ * Request groups are still drawn in the SVG, with the same classes, ARIA attributes and event
+ * handlers, but empty: their phases are painted to a canvas beneath it instead. Bar colours are
+ * read from charts.css by styling a hidden copy of each distinct combination of request
+ * classes, so slide states, tags and providers look the same as with SVG. Mouse events over
+ * bars are passed on to their groups, so hover, click and the chart's events work as before.
+ *
+ * Pick the renderer with the `renderer` option: 'svg', 'canvas' or 'auto' (the default), which
+ * uses the canvas for pages with more than `canvasThreshold` requests.
+ */
+(function () {
+    'use strict';
+
+    var CANVAS_THRESHOLD = 2000,            // requests
+        STYLE_TRANSITION_DURATION = 1000;   // ms; how long `.request` fill transitions take in charts.css
+
+    var getRendererName = D3HarChart.prototype.getRendererName;
+
+    /**
+     * Gets the scale and translation of an element's current CSS transform (including part way
+     * through a transition).
+     */
+    function getTransform(node) {
+        var transform = window.getComputedStyle(node).transform,
+            values = transform && transform !== 'none' ? transform.match(/-?[\d.e\-]+/g).map(Number) : null;
+
+        return values ? {a: values[0], d: values[3], e: values[4], f: values[5]} : {a: 1, d: 1, e: 0, f: 0};
+    }
+
+    function getRowOffset(element) {
+        var match = /translate\([^,]+,\s*([^)]+)\)/.exec(element.getAttribute('transform') || '');
+        return match ? Number(match[1]) : 0;
+    }
+
+    /**
+     * Gets the mapping from SVG user units to canvas pixels.
+     */
+    function getViewport(chart) {
+        var svg = chart.chartEl.node(),
+            transform = getTransform(svg),
+            viewBox = (svg.getAttribute('viewBox') || '0 0 1 1').split(/[\s,]+/).map(Number),  // mid-transition
+            width = svg.clientWidth,
+            height = svg.clientHeight;
+
+        return {
+            width: width,
+            height: height,
+            scaleX: width / (viewBox[2] || 1) * transform.a,
+            scaleY: height / (viewBox[3] || 1) * transform.d,
+            offsetX: transform.e,
+            offsetY: transform.f
+        };
+    }
+
+    /**
+     * Gets the fill, stroke and opacity of each phase of requests with a set of classes, as
+     * charts.css styles them at this moment.
+     */
+    function getStyles(chart, className) {
+        var probe = chart.canvasProbes[className],
+            styles = {};
+
+        if (!probe) {
+            probe = chart.canvasProbes[className] = chart.canvasProbesEl.append('g').attr('class', className);
+            D3HarChart.PHASES.forEach(function (phase) {
+                probe.append('rect').attr('class', 'phase phase-' + phase);
+            });
+        }
+
+        probe.selectAll('rect').each(function (d, i) {
+            var style = window.getComputedStyle(this),
+                groupStyle = window.getComputedStyle(this.parentNode);
+
+            styles[D3HarChart.PHASES[i]] = {
+                fill: style.fill,
+                stroke: style.stroke,
+                strokeWidth: parseFloat(style.strokeWidth) || 0,
+                opacity: Number(groupStyle.opacity) * Number(style.opacity) * Number(style.fillOpacity || 1)
+            };
+        });
+        return styles;
+    }
+
+    /**
+     * Paints the displayed requests to the canvas, as the chart is currently zoomed.
+     *
+     * @param {D3HarChart} chart
+     */
+    function render(chart) {
+        var canvas = chart.canvasEl.node(),
+            viewport = getViewport(chart),
+            ratio = window.devicePixelRatio || 1,
+            itemHeight = chart.options.itemHeight,
+            focused = document.activeElement,
+            styleCache = {},
+            probesClass,
+            context;
+
+        if (canvas.width !== Math.round(viewport.width * ratio) || canvas.height !== Math.round(viewport.height * ratio)) {
+            canvas.width = Math.round(viewport.width * ratio);
+            canvas.height = Math.round(viewport.height * ratio);
+            canvas.style.width = viewport.width + 'px';
+            canvas.style.height = viewport.height + 'px';
+        }
+
+        // Keep the hidden copies of requests styled as the chart is
+        probesClass = (chart.chartEl.attr('class') || '') + ' canvas-probes';
+        if (chart.canvasProbesEl.attr('class') !== probesClass) {
+            chart.canvasProbesEl.attr('class', probesClass);
+        }
+
+        context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, viewport.width, viewport.height);
+
+        context.save();
+        if (chart.replay) {
+            context.beginPath();
+            context.rect(0, 0, viewport.offsetX + chart.replay.time * viewport.scaleX, viewport.height);
+            context.clip();
+        }
+
+        chart.items.each(function (d) {
+            var className = this.getAttribute('class'),
+                y = viewport.offsetY + getRowOffset(this) * viewport.scaleY,
+                height = itemHeight * viewport.scaleY,
+                opacity = this.style.opacity === '' ? 1 : Number(this.style.opacity),
+                styles;
+
+            if (y + height < 0 || y > viewport.height || !opacity) {
+                return;
+            }
+            styles = styleCache[className] = styleCache[className] || getStyles(chart, className);
+
+            d.phases.forEach(function (phase) {
+                var style = styles[phase.name],
+                    x = viewport.offsetX + phase.start * viewport.scaleX,
+                    width = phase.duration * viewport.scaleX;
+
+                if (x + width < 0 || x > viewport.width) {
+                    return;
+                }
+                context.globalAlpha = style.opacity * opacity;
+                if (style.fill && style.fill !== 'none') {
+                    context.fillStyle = style.fill;
+                    context.fillRect(x, y, width, height);
+                }
+                if (style.stroke && style.stroke !== 'none' && style.strokeWidth) {
+                    context.strokeStyle = style.stroke;
+                    context.lineWidth = style.strokeWidth;
+                    context.strokeRect(x, y, width, height);
+                }
+            });
+
+            // Keyboard focus; `:focus` styles can't be read from a copy of the request
+            if (this === focused) {
+                context.globalAlpha = 1;
+                context.strokeStyle = 'white';
+                context.lineWidth = 2;
+                context.strokeRect(viewport.offsetX + d.start * viewport.scaleX, y, (d.end - d.start) * viewport.scaleX, height);
+            }
+        });
+
+        context.restore();
+    }
+
+    /**
+     * Repaints the canvas every frame for a while, e.g. for the length of a zoom transition.
+     *
+     * @param {D3HarChart} chart
+     * @param {number} [duration] - ms to keep repainting for
+     */
+    function requestRender(chart, duration) {
+        chart.canvasRenderUntil = Math.max(chart.canvasRenderUntil || 0, Date.now() + (duration || 0));
+        if (chart.canvasRendering) {
+            return;
+        }
+        chart.canvasRendering = true;
+        d3.timer(function () {
+            if (chart.renderer !== 'canvas' || !chart.dimensions) {
+                chart.canvasRendering = false;
+                return true;
+            }
+            render(chart);
+            if (Date.now() >= chart.canvasRenderUntil) {
+                chart.canvasRendering = false;
+                return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Finds the request group under the mouse.
+     */
+    function getItemAt(chart, e) {
+        var rect = chart.canvasEl.node().getBoundingClientRect(),
+            viewport = getViewport(chart),
+            x = (e.clientX - rect.left - viewport.offsetX) / viewport.scaleX,
+            y = (e.clientY - rect.top - viewport.offsetY) / viewport.scaleY,
+            found = null;
+
+        chart.items.each(function (d) {
+            var top = getRowOffset(this);
+            if (!found && y >= top && y < top + chart.options.itemHeight && x >= d.start && x <= d.end) {
+                found = this;
+            }
+        });
+        return found;
+    }
+
+    function dispatch(element, type) {
+        element.dispatchEvent(new window.MouseEvent(type, {bubbles: false, cancelable: true}));
+    }
+
+    /**
+     * Passes mouse events over painted bars on to their (empty) request groups.
+     */
+    function forwardMouseEvents(chart) {
+        var svg = chart.chartEl.node();
+
+        function hover(element) {
+            if (element === chart.canvasHovered) {
+                return;
+            }
+            if (chart.canvasHovered) {
+                dispatch(chart.canvasHovered, 'mouseout');
+            }
+            chart.canvasHovered = element;
+            svg.style.cursor = element ? 'pointer' : null;
+            if (element) {
+                dispatch(element, 'mouseover');
+            }
+        }
+
+        chart.chartEl
+            .on('mousemove.canvas', function () {
+                if (chart.renderer === 'canvas') {
+                    hover(getItemAt(chart, d3.event));
+                }
+            })
+            .on('mouseleave.canvas', function () {
+                hover(null);
+            })
+            .on('click.canvas', function () {
+                var element;
+
+                // Clicks forwarded to a request group bubble back up to here
+                if (chart.renderer !== 'canvas' || d3.event.target !== svg) {
+                    return;
+                }
+                element = getItemAt(chart, d3.event);
+                if (element) {
+                    dispatch(element, 'click');
+                }
+            });
+    }
+
+    function createCanvas(chart) {
+        chart.canvasEl = d3.select(chart.element.insertBefore(document.createElement('canvas'), chart.chartEl.node()))
+            .attr('class', 'chart-canvas')
+            .attr('aria-hidden', 'true');
+
+        chart.canvasProbes = {};
+        chart.canvasProbesEl = d3.select(chart.element).append('svg')
+            .attr('class', 'canvas-probes')
+            .attr('aria-hidden', 'true')
+            .style({position: 'absolute', visibility: 'hidden', width: 0, height: 0});
+
+        chart.on('layout', function (unitsPerPixel, duration) {
+            requestRender(chart, duration);
+        });
+        chart.on('playheadMoved', function () {
+            requestRender(chart);
+        });
+
+        // Slide states, selection etc. change request colours, with a transition
+        if (window.MutationObserver) {
+            new window.MutationObserver(function () {
+                if (chart.renderer === 'canvas') {
+                    requestRender(chart, STYLE_TRANSITION_DURATION);
+                }
+            }).observe(chart.element, {attributes: true, attributeFilter: ['class'], subtree: true});
+        }
+
+        forwardMouseEvents(chart);
+    }
+
+    D3HarChart.renderers.canvas = {
+        draw: function (chart, items, duration) {
+            if (!chart.canvasEl) {
+                createCanvas(chart);
+            }
+            items.selectAll('rect.phase').remove();
+            chart.canvasEl.style('display', null);
+            requestRender(chart, duration);
+        },
+
+        detach: function (chart) {
+            chart.canvasEl.style('display', 'none');
+            chart.canvasHovered = null;
+        }
+    };
+
+    /**
+     * With the 'auto' renderer (the default), draws pages with many requests to a canvas.
+     */
+    D3HarChart.prototype.getRendererName = function (data) {
+        var renderer = this.options.renderer || 'auto';
+
+        if (renderer === 'auto') {
+            return data.length > (this.options.canvasThreshold || CANVAS_THRESHOLD) ? 'canvas' : 'svg';
+        }
+        return getRendererName.call(this);
+    };
+
+}());
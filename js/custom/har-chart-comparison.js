@@ -0,0 +1,400 @@
+/*global D3HarChart, d3, Promise*/
+
+/**
+ * Comparison of the displayed HAR page with one or more other runs (e.g. before / after a
+ * change, or first / repeat view) on a shared time axis.
+ *
+ * Requests are matched across runs by URL. The displayed page is the baseline and is drawn as
+ * usual; each other run is drawn as plain bars, either over the baseline bars ('overlay') or in
+ * rows of their own beneath them ('side-by-side'). Compared requests are classed by how they
+ * differ from the baseline: comparison-added, -removed, -slower, -faster or -unchanged.
+ */
+(function () {
+    'use strict';
+
+    var COMPARISON_THRESHOLD = 50,  // ms; smaller differences in duration count as unchanged
+        COMPARISON_TRANSITION_DURATION = 1000;
+
+    var getItemRow = D3HarChart.prototype.getItemRow,
+        getChartSize = D3HarChart.prototype.getChartSize,
+        drawPage = D3HarChart.prototype.drawPage;
+
+    function formatDelta(ms) {
+        var seconds = Math.round(ms / 10) / 100;
+        return (seconds > 0 ? '+' : seconds < 0 ? '−' : '±') + Math.abs(seconds) + 's';
+    }
+
+    function formatCountDelta(count) {
+        return count > 0 ? '+' + count : count < 0 ? '−' + Math.abs(count) : '±0';
+    }
+
+    /**
+     * Matches requests by URL (ignoring protocol and query string), numbering repeated requests
+     * for the same URL so they are matched up in order.
+     */
+    function getMatchKeys(items, getKey) {
+        var counts = {};
+
+        return items.map(function (item) {
+            var key = getKey(item);
+
+            counts[key] = (counts[key] || 0) + 1;
+            return key + '#' + counts[key];
+        });
+    }
+
+    function getStatus(item, baseItem, threshold) {
+        if (!baseItem) {
+            return 'added';
+        }
+        if (!item) {
+            return 'removed';
+        }
+        if (item.duration - baseItem.duration > threshold) {
+            return 'slower';
+        }
+        if (baseItem.duration - item.duration > threshold) {
+            return 'faster';
+        }
+        return 'unchanged';
+    }
+
+    function getLastEnd(items) {
+        return d3.max(items, function (item) {
+            return item.end;
+        }) || 0;
+    }
+
+    /**
+     * Matches up requests across runs, one row per request URL, ordered by when each request
+     * was first made in any run.
+     *
+     * @param {Array} runs - one array of items (as returned by getRequestsFromHar) per run; the
+     *   first is the baseline
+     * @param {object} [options]
+     * @param {function} [options.getKey] - gets the URL (or other value) to match an item by
+     * @param {number} [options.threshold] - differences in duration (ms) to ignore
+     * @returns {Array} rows with `key`, `items` (one per run, null if the run didn't make the
+     *   request) and `statuses` (how each run's request compares with the baseline)
+     */
+    D3HarChart.compareRuns = function (runs, options) {
+        var getKey = (options && options.getKey) || function (item) {
+                return item.url;
+            },
+            threshold = (options && options.threshold !== undefined) ? options.threshold : COMPARISON_THRESHOLD,
+            rowsByKey = {},
+            rows = [];
+
+        runs.forEach(function (items, runIndex) {
+            getMatchKeys(items, getKey).forEach(function (key, i) {
+                var row = rowsByKey[key];
+
+                if (!row) {
+                    row = rowsByKey[key] = {
+                        key: key,
+                        items: runs.map(function () {
+                            return null;
+                        })
+                    };
+                    rows.push(row);
+                }
+                row.items[runIndex] = items[i];
+            });
+        });
+
+        rows.forEach(function (row) {
+            row.start = d3.min(row.items, function (item) {
+                return item ? item.start : undefined;
+            });
+            row.statuses = row.items.map(function (item, runIndex) {
+                return runIndex === 0 ? null : getStatus(item, row.items[0], threshold);
+            });
+        });
+
+        return rows.sort(function (a, b) {
+            return a.start - b.start;
+        });
+    };
+
+    /**
+     * Summarizes how each compared run differs from the baseline.
+     *
+     * @param {Array} rows - as returned by compareRuns
+     * @param {Array} runs - `items` and `page` of each run, baseline first
+     * @returns {Array} for each run after the baseline: request counts by status, and the
+     *   differences in request count, onLoad and last request end
+     */
+    D3HarChart.summarizeComparison = function (rows, runs) {
+        var base = runs[0];
+
+        return runs.slice(1).map(function (run, i) {
+            var counts = {added: 0, removed: 0, slower: 0, faster: 0, unchanged: 0},
+                onLoad = Number(run.page.pageTimings.onLoad),
+                baseOnLoad = Number(base.page.pageTimings.onLoad);
+
+            rows.forEach(function (row) {
+                var status = row.statuses[i + 1];
+                if (row.items[0] || row.items[i + 1]) {
+                    counts[status] += 1;
+                }
+            });
+
+            counts.requestsDelta = run.items.length - base.items.length;
+            counts.onLoadDelta = (onLoad > 0 && baseOnLoad > 0) ? onLoad - baseOnLoad : null;
+            counts.lastEndDelta = getLastEnd(run.items) - getLastEnd(base.items);
+            return counts;
+        });
+    };
+
+    /**
+     * Compares the displayed page with other runs.
+     *
+     * @param {Array} runs - runs to compare with, each with `harObject`, an optional `pageId`
+     *   (defaults to the first page) and a `label`
+     * @param {object} [options]
+     * @param {string} [options.mode] - 'overlay' (default) or 'side-by-side'
+     * @param {function} [options.getKey] - see compareRuns
+     * @param {number} [options.threshold] - see compareRuns
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.compareWith = function (runs, options, duration) {
+        var instance = this;
+
+        options = options || {};
+        this.comparison = {
+            mode: options.mode || 'overlay',
+            getKey: options.getKey,
+            threshold: options.threshold === undefined ? this.options.comparisonThreshold : options.threshold,
+            runs: runs.map(function (run) {
+                var page = D3HarChart.getHarPage(run.harObject, run.pageId);
+                return {
+                    label: run.label || page.title || page.id,
+                    page: page,
+                    items: instance.getRequestsFromHar(run.harObject, page.id)
+                };
+            })
+        };
+
+        this.redrawComparison(duration);
+    };
+
+    /**
+     * Loads HAR files and compares the displayed page with the first page of each.
+     *
+     * @param {Array} runs - runs to compare with, each with a `path` to a HAR file and a `label`
+     * @param {object} [options] - see compareWith
+     * @returns {Promise} resolved once the comparison is drawn
+     */
+    D3HarChart.prototype.compareWithFiles = function (runs, options) {
+        var instance = this;
+
+        return Promise.all(runs.map(function (run) {
+            return new Promise(function (resolve, reject) {
+                d3.json(run.path, function (error, harObject) {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve({harObject: harObject, pageId: run.pageId, label: run.label});
+                    }
+                });
+            });
+        })).then(function (loadedRuns) {
+            instance.compareWith(loadedRuns, options);
+        });
+    };
+
+    /**
+     * Switches between drawing compared runs over the baseline and beneath it.
+     *
+     * @param {string} mode - 'overlay' or 'side-by-side'
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.setComparisonMode = function (mode, duration) {
+        if (mode !== 'overlay' && mode !== 'side-by-side') {
+            throw new Error('Unknown comparison mode "' + mode + '"');
+        }
+        if (!this.comparison || this.comparison.mode === mode) {
+            return;
+        }
+        this.comparison.mode = mode;
+        this.redrawComparison(duration);
+    };
+
+    /**
+     * Goes back to showing the displayed page on its own.
+     *
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.endComparison = function (duration) {
+        if (!this.comparison) {
+            return;
+        }
+        this.comparison = null;
+        this.redrawComparison(duration);
+    };
+
+    D3HarChart.prototype.redrawComparison = function (duration) {
+        if (duration === undefined) {
+            duration = this.options.comparisonTransitionDuration;
+        }
+
+        this.drawPage(this.items.data(), duration === undefined ? COMPARISON_TRANSITION_DURATION : duration);
+        this.layoutLabels();
+
+        this.emit('comparisonChanged', this.comparison);
+    };
+
+    /**
+     * Gets how many rows each matched request takes up: one in overlay mode, or one per run
+     * side by side.
+     */
+    function getRowsPerRequest(comparison) {
+        return comparison.mode === 'side-by-side' ? comparison.runs.length + 1 : 1;
+    }
+
+    D3HarChart.prototype.getItemRow = function (d, i) {
+        var comparison = this.comparison;
+
+        if (comparison && this.itemLayout !== 'connections' && d.comparisonRow !== undefined) {
+            return d.comparisonRow * getRowsPerRequest(comparison) +
+                (comparison.mode === 'side-by-side' ? d.comparisonRun : 0);
+        }
+        return getItemRow.call(this, d, i);
+    };
+
+    D3HarChart.prototype.getChartSize = function (data) {
+        var size = getChartSize.call(this, data),
+            comparison = this.comparison;
+
+        if (comparison && comparison.rows) {
+            // Leave room for all runs, including requests that the baseline didn't make
+            size.width = Math.max(size.width, d3.max(comparison.runs, function (run) {
+                return getLastEnd(run.items);
+            }));
+            size.height = Math.max(size.height, comparison.rows.length * getRowsPerRequest(comparison) *
+                (this.options.itemHeight + this.options.itemMargin));
+        }
+        return size;
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        var comparison = this.comparison,
+            runItems;
+
+        data.forEach(function (d) {
+            delete d.comparisonRow;
+        });
+
+        if (comparison) {
+            runItems = [data].concat(comparison.runs.map(function (run) {
+                return run.items;
+            }));
+            comparison.rows = D3HarChart.compareRuns(runItems, comparison);
+            comparison.rows.forEach(function (row, rowIndex) {
+                row.items.forEach(function (item, runIndex) {
+                    if (item) {
+                        item.comparisonRow = rowIndex;
+                        item.comparisonRun = runIndex;
+                        item.comparisonStatus = row.statuses[runIndex];
+                    }
+                });
+            });
+            comparison.summary = D3HarChart.summarizeComparison(comparison.rows, [{
+                items: data,
+                page: D3HarChart.getHarPage(this.harObject, this.currentPage)
+            }].concat(comparison.runs));
+        }
+
+        drawPage.call(this, data, duration);
+        this.drawComparison(duration);
+    };
+
+    /**
+     * Draws compared runs' requests, and a summary of the differences from the baseline.
+     *
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.drawComparison = function (duration) {
+        var config = this.options,
+            instance = this,
+            comparison = this.comparison,
+            runs,
+            bars,
+            summaries;
+
+        function getRowY(item) {
+            return instance.getItemRow(item) * (config.itemHeight + config.itemMargin);
+        }
+
+        if (!this.comparisonEl) {
+            this.comparisonEl = this.chartEl.append('g').attr('class', 'comparison');
+            this.comparisonSummaryEl = d3.select(this.element).append('div').attr('class', 'comparison-summary');
+        }
+
+        this.chartEl
+            .classed('comparing', Boolean(comparison))
+            .classed('comparison-overlay', Boolean(comparison) && comparison.mode === 'overlay');
+
+        // Baseline requests that no compared run made
+        this.items.classed('comparison-removed', function (d) {
+            return Boolean(comparison) && d.comparisonRow !== undefined &&
+                comparison.rows[d.comparisonRow].items.slice(1).every(function (item) {
+                    return !item;
+                });
+        });
+
+        // Compared runs' requests have no connection lanes of their own to be drawn in
+        runs = this.comparisonEl.selectAll('g.comparison-run')
+            .data(comparison && this.itemLayout !== 'connections' ? comparison.runs : []);
+        runs.exit().remove();
+        runs.enter().append('g');
+        runs.attr('class', function (run, i) {
+            return 'comparison-run comparison-run-' + (i + 1);
+        });
+
+        bars = runs.selectAll('rect.comparison-request').data(function (run) {
+            return run.items;
+        });
+        bars.exit().remove();
+        bars.enter().append('rect')
+            .attr('vector-effect', 'non-scaling-stroke')
+            .attr('y', getRowY)
+            .attr('height', config.itemHeight)
+            .append('title');
+        bars.attr('class', function (item) {
+            return 'comparison-request comparison-' + item.comparisonStatus + ' filetype-' + item.type;
+        });
+        bars.select('title').text(function (item) {
+            return item.url + ' (' + Math.round(item.duration) + 'ms, ' + item.comparisonStatus + ')';
+        });
+        D3HarChart.animate(bars, duration)
+            .attr('x', function (item) {
+                return item.start;
+            })
+            .attr('y', getRowY)
+            .attr('width', function (item) {
+                return item.duration;
+            });
+
+        this.comparisonSummaryEl.style('display', comparison ? null : 'none');
+        summaries = this.comparisonSummaryEl.selectAll('div').data(comparison ? comparison.summary : []);
+        summaries.exit().remove();
+        summaries.enter().append('div');
+        summaries.html('');
+        summaries.append('strong').text(function (summary, i) {
+            return comparison.runs[i].label + ': ';
+        });
+        summaries.append('span').text(function (summary) {
+            return [
+                formatCountDelta(summary.requestsDelta) + ' requests',
+                summary.onLoadDelta === null ? null : 'onLoad ' + formatDelta(summary.onLoadDelta),
+                'last request ' + formatDelta(summary.lastEndDelta),
+                summary.added + ' added',
+                summary.removed + ' removed',
+                summary.slower + ' slower',
+                summary.faster + ' faster'
+            ].filter(Boolean).join(', ');
+        });
+    };
+
+}());
@@ -0,0 +1,152 @@
+/*global D3HarChart*/
+
+/**
+ * Connection swimlane view for D3HarChart: one lane per TCP connection rather than one row per
+ * request, to show connection reuse, head-of-line blocking and connection setup overhead.
+ *
+ * Switch views with D3HarChart#setLayout('connections') / D3HarChart#setLayout('requests').
+ */
+(function () {
+    'use strict';
+
+    var LAYOUT_TRANSITION_DURATION = 1000;
+
+    var getItemRow = D3HarChart.prototype.getItemRow,
+        drawPage = D3HarChart.prototype.drawPage;
+
+    /**
+     * Gets the ID of the connection a request was made over: WebPageTest's `_socket`, falling
+     * back to the standard HAR `connection`. Requests without either get a lane to themselves.
+     */
+    function getConnectionId(item, index) {
+        var entry = item.entry || {},
+            id = entry._socket || entry.connection;
+
+        return id ? String(id) : 'request-' + index;
+    }
+
+    /**
+     * Groups items into connection lanes, ordered by when each connection was first used.
+     * Sets `connection` (the lane) on each item, and marks the first request on each
+     * connection as `opensConnection`.
+     *
+     * @param {Array} items - items, as returned by getRequestsFromHar
+     * @returns {Array} lanes with `id`, `index`, `host`, `ip`, `port` and `items`
+     */
+    D3HarChart.getConnectionLanes = function (items) {
+        var lanes = [],
+            lanesById = {};
+
+        items.slice().sort(function (a, b) {
+            return a.start - b.start;
+        }).forEach(function (item) {
+            var id = getConnectionId(item, items.indexOf(item)),
+                entry = item.entry || {},
+                lane = lanesById[id];
+
+            if (!lane) {
+                lane = lanesById[id] = {
+                    id: id,
+                    index: lanes.length,
+                    host: entry._host || item.domain,
+                    ip: entry._ip_addr,
+                    port: entry._client_port,
+                    items: []
+                };
+                lanes.push(lane);
+            }
+
+            item.connection = lane;
+            item.opensConnection = lane.items.length === 0;
+            lane.items.push(item);
+        });
+
+        return lanes;
+    };
+
+    D3HarChart.prototype.getItemRow = function (d, i) {
+        if (this.itemLayout === 'connections') {
+            return d.connection.index;
+        }
+        return getItemRow.call(this, d, i);
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        this.connectionLanes = D3HarChart.getConnectionLanes(data);
+        drawPage.call(this, data, duration);
+        this.items.classed('opens-connection', function (d) {
+            return d.opensConnection;
+        });
+        this.drawConnectionLanes();
+    };
+
+    /**
+     * Draws a label for each connection lane, showing the host and the number of requests
+     * made over the connection. Only visible in the connection view.
+     */
+    D3HarChart.prototype.drawConnectionLanes = function () {
+        var labels;
+
+        if (!this.connectionLanesEl) {
+            this.connectionLanesEl = this.chartEl.append('g').attr('class', 'connection-lanes');
+            this.on('layout', this.layoutConnectionLabels);
+        }
+
+        labels = this.connectionLanesEl.selectAll('text.connection-label')
+            .data(this.itemLayout === 'connections' ? this.connectionLanes : [], function (lane) {
+                return lane.id;
+            });
+
+        labels.exit().remove();
+        labels.enter().append('text')
+            .attr('class', 'connection-label')
+            .attr('x', -4);
+        labels.text(function (lane) {
+            return lane.host + (lane.items.length > 1 ? ' ×' + lane.items.length : '');
+        });
+    };
+
+    /**
+     * Lane labels live inside the chart's stretched viewBox; counter-scale them so that text
+     * isn't distorted. They are placed just before the connection's first request.
+     *
+     * @param {object} unitsPerPixel - as returned by getUnitsPerPixel
+     */
+    D3HarChart.prototype.layoutConnectionLabels = function (unitsPerPixel) {
+        var config = this.options;
+
+        this.connectionLanesEl.selectAll('text.connection-label').attr('transform', function (lane) {
+            var x = lane.items[0].start,
+                y = (lane.index + 1) * (config.itemHeight + config.itemMargin);
+            return 'translate(' + x + ',' + y + ') scale(' + unitsPerPixel.x + ',' + unitsPerPixel.y + ')';
+        });
+    };
+
+    /**
+     * Switches between one row per request ('requests') and one lane per connection
+     * ('connections'), animating bars into their new rows.
+     *
+     * @param {string} layout - 'requests' or 'connections'
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.setLayout = function (layout, duration) {
+        if (layout !== 'requests' && layout !== 'connections') {
+            throw new Error('Unknown chart layout "' + layout + '"');
+        }
+        if (layout === (this.itemLayout || 'requests')) {
+            return;
+        }
+
+        if (duration === undefined) {
+            duration = this.options.layoutTransitionDuration;
+        }
+
+        this.itemLayout = layout;
+        this.chartEl.classed('layout-connections', layout === 'connections');
+        this.drawPage(this.items.data(), duration === undefined ? LAYOUT_TRANSITION_DURATION : duration);
+        this.layoutLabels();
+
+        this.emit('layoutChanged', layout);
+    };
+
+}());
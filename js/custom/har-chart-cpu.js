@@ -0,0 +1,277 @@
+/*global D3HarChart, d3, Promise*/
+
+/**
+ * Main thread CPU track for D3HarChart, from a Chrome trace (e.g. one captured by WebPageTest
+ * alongside the HAR): how busy the renderer's main thread was over time, split into scripting
+ * (including script compile and evaluation), parsing, rendering and other work.
+ *
+ * Load a trace with D3HarChart#loadTrace, or the `trace` option, then show the 'cpu' track
+ * (see har-chart-tracks.js). Page loads imported from a trace (see har-chart-import-trace.js)
+ * use that trace. Without a trace, the track shows WebPageTest's average CPU use up to onLoad
+ * and up to fully loaded.
+ */
+(function () {
+    'use strict';
+
+    /**
+     * Trace event names counted towards each kind of CPU work. Main thread time spent in
+     * top-level tasks outside these counts as 'other'.
+     */
+    var CPU_CATEGORIES = {
+        scripting: ['EvaluateScript', 'v8.compile', 'v8.compileModule', 'v8.evaluateModule', 'FunctionCall',
+            'TimerFire', 'EventDispatch', 'XHRReadyStateChange', 'FireAnimationFrame', 'MajorGC', 'MinorGC'],
+        parsing: ['ParseHTML', 'ParseAuthorStyleSheet'],
+        rendering: ['Layout', 'RecalculateStyles', 'UpdateLayoutTree', 'UpdateLayerTree', 'Paint',
+            'CompositeLayers', 'DecodeImage', 'Decode Image']
+    };
+
+    var TOP_LEVEL_TASKS = ['RunTask', 'ThreadControllerImpl::RunTask', 'ThreadControllerImpl::DoWork',
+        'TaskQueueManager::ProcessTaskFromWorkQueue', 'MessageLoop::RunTask', 'Program'];
+
+    var displayObject = D3HarChart.prototype.displayObject;
+
+    function getCategory(name) {
+        return Object.keys(CPU_CATEGORIES).filter(function (category) {
+            return CPU_CATEGORIES[category].indexOf(name) > -1;
+        })[0];
+    }
+
+    /**
+     * Finds the events of the renderer main thread that did the most work; traces can include
+     * several renderers (e.g. for iframes or extensions).
+     */
+    function getMainThreadEvents(events) {
+        var threads = events.filter(function (e) {
+                return e.ph === 'M' && e.name === 'thread_name' && e.args && e.args.name === 'CrRendererMain';
+            }),
+            best = null,
+            bestEvents = [];
+
+        if (!threads.length) {
+            return events;
+        }
+
+        threads.forEach(function (thread) {
+            var threadEvents = events.filter(function (e) {
+                return e.pid === thread.pid && e.tid === thread.tid;
+            });
+            if (!best || threadEvents.length > bestEvents.length) {
+                best = thread;
+                bestEvents = threadEvents;
+            }
+        });
+        return bestEvents;
+    }
+
+    /**
+     * Works out when (on the trace's clock, in ms) the page load started, by matching the first
+     * request in the chart with the trace's record of sending it. Falls back to the trace's
+     * navigationStart mark, or its first event.
+     */
+    function getTraceOffset(events, items) {
+        var first = items.slice().sort(function (a, b) {
+                return a.start - b.start;
+            })[0],
+            send,
+            navigationStart;
+
+        send = first && events.filter(function (e) {
+            return e.name === 'ResourceSendRequest' && e.args && e.args.data && e.args.data.url === first.originalUrl;
+        })[0];
+        if (send) {
+            return send.ts / 1000 - first.start;
+        }
+
+        navigationStart = events.filter(function (e) {
+            return e.name === 'navigationStart';
+        })[0];
+        if (navigationStart) {
+            return navigationStart.ts / 1000;
+        }
+        return d3.min(events, function (e) {
+            return e.ts;
+        }) / 1000;
+    }
+
+    /**
+     * Gets the slices of main thread time spent on each kind of work. Trace events nest; each
+     * slice of time is counted towards the outermost categorized event it falls within, and
+     * overlapping top-level tasks are merged into one 'task' slice.
+     *
+     * @param {Array|object} trace - trace events, or an object with `traceEvents`
+     * @param {Array} items - items, as returned by getRequestsFromHar, to align the trace with
+     * @returns {Array} slices with `category` ('task' for top-level tasks), `name`, `url` (of
+     *   scripts), `start` and `end` (ms from the start of the page load); slices of the same
+     *   category don't overlap
+     */
+    D3HarChart.getCpuSlices = function (trace, items) {
+        var events = getMainThreadEvents(Array.isArray(trace) ? trace : trace.traceEvents || []),
+            offset = getTraceOffset(events, items),
+            slices = [],
+            tasks = [],
+            coveredUntil = -Infinity;
+
+        events.filter(function (e) {
+            return e.ph === 'X' && e.dur > 0 && (getCategory(e.name) || TOP_LEVEL_TASKS.indexOf(e.name) > -1);
+        }).sort(function (a, b) {
+            return (a.ts - b.ts) || (b.dur - a.dur);
+        }).forEach(function (e) {
+            var category = getCategory(e.name),
+                start = e.ts / 1000 - offset,
+                end = start + e.dur / 1000,
+                data = (e.args && e.args.data) || {},
+                lastTask = tasks[tasks.length - 1];
+
+            if (!category) {
+                if (lastTask && start <= lastTask.end) {
+                    lastTask.end = Math.max(lastTask.end, end);
+                } else {
+                    tasks.push({category: 'task', name: e.name, start: start, end: end});
+                }
+            } else if (end > coveredUntil) {
+                // Only the part not already counted towards an enclosing (or earlier) event
+                slices.push({category: category, name: e.name, url: data.url, start: Math.max(start, coveredUntil), end: end});
+                coveredUntil = end;
+            }
+        });
+
+        return slices.concat(tasks);
+    };
+
+    /**
+     * Without a trace, spreads WebPageTest's page CPU totals evenly over the time up to onLoad
+     * (`_docCPUms` over `_docTime`) and from there to fully loaded (`_fullyLoadedCPUms`).
+     *
+     * @returns {Array} one 'average' layer, as returned by getLayers
+     */
+    function getAverageLayers(page, times, binSize) {
+        var docTime = Number(page._docTime) || 0,
+            fullyLoaded = Number(page._fullyLoaded) || 0,
+            docCpu = Number(page._docCPUms) || 0,
+            fullyLoadedCpu = Number(page._fullyLoadedCPUms) || 0,
+            periods = [
+                {start: 0, end: docTime, busy: docTime ? docCpu / docTime : 0},
+                {
+                    start: docTime,
+                    end: fullyLoaded,
+                    busy: fullyLoaded > docTime ? (fullyLoadedCpu - docCpu) / (fullyLoaded - docTime) : 0
+                }
+            ];
+
+        return [{
+            name: 'average',
+            values: times.map(function (time) {
+                return {
+                    x: time,
+                    y: d3.sum(periods, function (period) {
+                        var overlap = Math.min(period.end, time + binSize) - Math.max(period.start, time);
+                        return overlap > 0 ? overlap / binSize * Math.min(Math.max(period.busy, 0), 1) : 0;
+                    })
+                };
+            })
+        }];
+    }
+
+    /**
+     * Loads a Chrome trace of the displayed page load, for the 'cpu' track.
+     *
+     * @param {string|Array|object} trace - path to a trace JSON file, or the parsed trace
+     * @returns {Promise} resolved once the trace is loaded
+     */
+    D3HarChart.prototype.loadTrace = function (trace) {
+        var instance = this;
+
+        return new Promise(function (resolve, reject) {
+            if (typeof trace !== 'string') {
+                resolve(trace);
+                return;
+            }
+            d3.json(trace, function (error, data) {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(data);
+                }
+            });
+        }).then(function (data) {
+            instance.cpuTrace = data;
+            instance.trackLayers.cpu = null;
+            instance.drawTracks(0);
+            instance.emit('traceLoaded');
+        });
+    };
+
+    D3HarChart.prototype.displayObject = function (harObject, pageId) {
+        this.cpuTrace = harObject.log._trace || null;
+        displayObject.call(this, harObject, pageId);
+
+        if (this.options.trace) {
+            this.loadTrace(this.options.trace).catch(function (error) {
+                console.error(error);
+            });
+        }
+    };
+
+    D3HarChart.tracks.cpu = {
+        label: function (chart) {
+            var page = D3HarChart.getHarPage(chart.harObject, chart.currentPage),
+                docPercent = Number(page._docCPUpct),
+                percent = Number(page._fullyLoadedCPUpct);
+
+            // WebPageTest records overall CPU use even without a trace
+            return 'Main thread CPU' +
+                (docPercent > 0 ? ' (' + docPercent + '% busy until onLoad, ' + percent + '% until fully loaded)' : '') +
+                (chart.cpuTrace ? '' : ' - averaged, no trace loaded');
+        },
+        max: 1,
+        getLayers: function (items, binSize, chart) {
+            var end = d3.max(items, function (item) {
+                    return item.end;
+                }) || 0,
+                times = d3.range(0, end + binSize, binSize),
+                categories = Object.keys(CPU_CATEGORIES),
+                busy = {};
+
+            if (!chart.cpuTrace) {
+                return getAverageLayers(D3HarChart.getHarPage(chart.harObject, chart.currentPage), times, binSize);
+            }
+
+            // Fraction of each time slice spent on each category of work
+            categories.concat('task').forEach(function (category) {
+                busy[category] = times.map(function () {
+                    return 0;
+                });
+            });
+            D3HarChart.getCpuSlices(chart.cpuTrace, items).forEach(function (slice) {
+                var first = Math.max(Math.floor(slice.start / binSize), 0),
+                    last = Math.min(Math.floor(slice.end / binSize), times.length - 1),
+                    overlap,
+                    i;
+
+                for (i = first; i <= last; i += 1) {
+                    overlap = Math.min(slice.end, times[i] + binSize) - Math.max(slice.start, times[i]);
+                    if (overlap > 0) {
+                        busy[slice.category][i] += overlap / binSize;
+                    }
+                }
+            });
+
+            // Time in top-level tasks not accounted for by any category
+            busy.other = busy.task.map(function (taskBusy, i) {
+                return Math.max(taskBusy - d3.sum(categories, function (category) {
+                    return busy[category][i];
+                }), 0);
+            });
+
+            return categories.concat('other').map(function (category) {
+                return {
+                    name: category,
+                    values: times.map(function (time, i) {
+                        return {x: time, y: busy[category][i]};
+                    })
+                };
+            });
+        }
+    };
+
+}());
@@ -0,0 +1,273 @@
+/*global D3HarChart*/
+
+/**
+ * Initiator-based request dependencies for D3HarChart.
+ *
+ * Uses WebPageTest's `_initiator` fields to work out which document or script caused each
+ * request, and draws connectors from parent to child bars. Connectors are hidden unless shown
+ * by a slide state (.chart-show-dependencies) or by D3HarChart#highlightDependencies.
+ */
+(function () {
+    'use strict';
+
+    var getRequestsFromHar = D3HarChart.prototype.getRequestsFromHar,
+        drawPage = D3HarChart.prototype.drawPage;
+
+    function msToRoundedS(ms) {
+        var seconds = ms / 1000;
+        return Math.round(seconds * 100) / 100 + 's';
+    }
+
+    /**
+     * Gets an item's descendants: everything it requested, everything those requested, and so on.
+     *
+     * @param {object} item
+     * @returns {Array} descendant items
+     */
+    function getDescendants(item) {
+        var descendants = [],
+            queue = item.children.slice(),
+            child;
+
+        while (queue.length) {
+            child = queue.shift();
+            if (child !== item && descendants.indexOf(child) === -1) {
+                descendants.push(child);
+                queue = queue.concat(child.children);
+            }
+        }
+        return descendants;
+    }
+
+    /**
+     * Links items to the item that initiated them (`parent`) and the items they initiated
+     * (`children`). Also sets each item's `depth` in the dependency chain, and its `chainDelay`:
+     * total time spent waiting between a parent finishing and its child starting, all the way
+     * up the chain.
+     *
+     * @param {Array} items - items, as returned by getRequestsFromHar
+     * @returns {Array} the same items
+     */
+    D3HarChart.linkInitiators = function (items) {
+        var byUrl = {};
+
+        items.forEach(function (item) {
+            if (!byUrl[item.originalUrl]) {
+                byUrl[item.originalUrl] = item;
+            }
+            item.children = [];
+        });
+
+        items.forEach(function (item) {
+            var entry = item.entry || {},
+                parent = byUrl[entry._initiator];
+
+            item.initiator = entry._initiator ? {
+                url: entry._initiator,
+                line: entry._initiator_line,
+                column: entry._initiator_column
+            } : null;
+
+            item.parent = (parent && parent !== item) ? parent : null;
+            if (item.parent) {
+                item.parent.children.push(item);
+            }
+        });
+
+        items.forEach(function (item) {
+            var child = item,
+                ancestor = item.parent,
+                visited = [item];
+
+            item.depth = 0;
+            item.chainDelay = 0;
+
+            while (ancestor && visited.indexOf(ancestor) === -1) {
+                item.depth += 1;
+                item.chainDelay += Math.max(child.start - ancestor.end, 0);
+                visited.push(ancestor);
+                child = ancestor;
+                ancestor = ancestor.parent;
+            }
+        });
+
+        return items;
+    };
+
+    D3HarChart.getDescendants = getDescendants;
+
+    D3HarChart.prototype.getRequestsFromHar = function (harData, pageId) {
+        var items = getRequestsFromHar.call(this, harData, pageId);
+
+        // Linking is quadratic; while a file is streaming in, wait for all of it to arrive
+        if (this.streaming) {
+            items.forEach(function (item) {
+                item.parent = null;
+                item.children = [];
+                item.depth = 0;
+                item.chainDelay = 0;
+            });
+            return items;
+        }
+        return D3HarChart.linkInitiators(items);
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        drawPage.call(this, data, duration);
+        this.drawDependencies(data, duration);
+        // Redrawn items lose their classes; highlight the new page's items
+        this.highlightDependencies(this.dependencyFilter);
+    };
+
+    /**
+     * Draws an elbow connector from each parent bar to each of its children, labelled with the
+     * gap between the parent finishing and the child starting.
+     *
+     * @param {Array} data - items, as returned by getRequestsFromHar
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.drawDependencies = function (data, duration) {
+        var config = this.options,
+            instance = this,
+            rowHeight = config.itemHeight + config.itemMargin,
+            links,
+            paths,
+            gaps;
+
+        function getRowCenter(item) {
+            return instance.getItemRow(item, data.indexOf(item)) * rowHeight + config.itemHeight / 2;
+        }
+
+        function getPath(link) {
+            return 'M' + link.x0 + ',' + getRowCenter(link.parent) +
+                'V' + getRowCenter(link.child) +
+                'H' + link.child.start;
+        }
+
+        if (!this.dependenciesEl) {
+            // Insert before request bars so that connectors are drawn underneath them
+            this.dependenciesEl = this.chartEl.insert('g', ':first-child').attr('class', 'dependencies');
+            this.on('layout', this.layoutDependencyLabels);
+        }
+
+        links = data.filter(function (item) {
+            return item.parent;
+        }).map(function (item) {
+            return {
+                key: item.key,
+                parent: item.parent,
+                child: item,
+                x0: Math.min(item.parent.end, item.start),
+                gap: Math.max(item.start - item.parent.end, 0)
+            };
+        });
+
+        paths = this.dependenciesEl.selectAll('path.dependency-link').data(links, function (link) {
+            return link.key;
+        });
+        paths.exit().remove();
+        paths.enter().append('path')
+            .attr('class', 'dependency-link')
+            .attr('vector-effect', 'non-scaling-stroke')
+            .attr('d', getPath);
+        D3HarChart.animate(paths, duration).attr('d', getPath);
+
+        gaps = this.dependenciesEl.selectAll('text.dependency-gap').data(links.filter(function (link) {
+            return link.gap > 0;
+        }), function (link) {
+            return link.key;
+        });
+        gaps.exit().remove();
+        gaps.enter().append('text')
+            .attr('class', 'dependency-gap')
+            .attr('y', -3);
+        gaps.text(function (link) {
+            return '+' + msToRoundedS(link.gap);
+        });
+    };
+
+    /**
+     * Gap and chain labels live inside the chart's stretched viewBox; counter-scale them so that
+     * text isn't distorted.
+     *
+     * @param {object} unitsPerPixel - as returned by getUnitsPerPixel
+     */
+    D3HarChart.prototype.layoutDependencyLabels = function (unitsPerPixel) {
+        var config = this.options,
+            instance = this,
+            data = this.items.data();
+
+        this.dependenciesEl.selectAll('text.dependency-gap').attr('transform', function (link) {
+            var row = instance.getItemRow(link.child, data.indexOf(link.child)),
+                x = (link.parent.end + link.child.start) / 2,
+                y = row * (config.itemHeight + config.itemMargin) + config.itemHeight / 2;
+            return 'translate(' + x + ',' + y + ') scale(' + unitsPerPixel.x + ',' + unitsPerPixel.y + ')';
+        });
+        this.dependenciesEl.selectAll('text.dependency-chain').attr('transform', function (item) {
+            var y = instance.getItemRow(item, data.indexOf(item)) * (config.itemHeight + config.itemMargin) +
+                config.itemHeight / 2;
+            return 'translate(' + item.end + ',' + y + ') scale(' + unitsPerPixel.x + ',' + unitsPerPixel.y + ')';
+        });
+    };
+
+    /**
+     * Highlights items matching a filter along with everything they (directly or indirectly)
+     * caused to be requested, e.g. everything pulled in by the script loader.
+     *
+     * The end of the longest chain is labelled with its depth and the total time spent waiting
+     * along it.
+     *
+     * @param {function} [filter] - selects the items to start from; clears highlighting if omitted.
+     *   Kept when the chart is redrawn.
+     * @returns {Array} highlighted descendant items
+     */
+    D3HarChart.prototype.highlightDependencies = function (filter) {
+        var roots = filter ? this.items.data().filter(filter) : [],
+            descendants = [],
+            deepest,
+            label;
+
+        this.dependencyFilter = filter;
+
+        roots.forEach(function (root) {
+            getDescendants(root).forEach(function (item) {
+                if (descendants.indexOf(item) === -1) {
+                    descendants.push(item);
+                }
+            });
+        });
+
+        function isHighlighted(link) {
+            return descendants.indexOf(link.child) > -1;
+        }
+
+        this.items
+            .classed('dependency-root', function (d) {
+                return roots.indexOf(d) > -1;
+            })
+            .classed('dependency', function (d) {
+                return descendants.indexOf(d) > -1;
+            });
+        this.dependenciesEl.selectAll('.dependency-link, .dependency-gap').classed('highlighted', isHighlighted);
+        this.chartEl.classed('highlight-dependencies', roots.length > 0);
+
+        deepest = descendants.reduce(function (best, item) {
+            return (!best || item.depth > best.depth ||
+                (item.depth === best.depth && item.chainDelay > best.chainDelay)) ? item : best;
+        }, null);
+        label = this.dependenciesEl.selectAll('text.dependency-chain').data(deepest ? [deepest] : []);
+        label.exit().remove();
+        label.enter().append('text')
+            .attr('class', 'dependency-chain')
+            .attr('dx', 5)
+            .attr('dy', '0.35em');
+        label.text(function (item) {
+            return item.depth + (item.depth === 1 ? ' level' : ' levels') + ' deep, ' +
+                msToRoundedS(item.chainDelay) + ' total delay';
+        });
+        this.layoutDependencyLabels(this.getUnitsPerPixel());
+
+        return descendants;
+    };
+
+}());
@@ -0,0 +1,338 @@
+/*global D3HarChart, d3*/
+
+/**
+ * Pinned request detail panels for D3HarChart.
+ *
+ * Clicking a request bar (or pressing Enter on a focused one) pins a panel with everything the
+ * HAR says about the request: status, headers, sizes, caching, timing phases, initiator and
+ * WebPageTest's optimization scores. Several panels can be open at once, for comparing
+ * requests; the oldest is closed when there's no room for another.
+ */
+(function () {
+    'use strict';
+
+    var MAX_PANELS = 3;
+
+    var PHASE_LABELS = {
+        blocked: 'Blocked',
+        dns: 'DNS lookup',
+        connect: 'Initial connection',
+        ssl: 'SSL negotiation',
+        ttfb: 'Time to first byte',
+        download: 'Content download'
+    };
+
+    D3HarChart.PHASE_LABELS = PHASE_LABELS;
+
+    var CACHE_HEADERS = ['cache-control', 'expires', 'etag', 'last-modified', 'age', 'pragma', 'vary'];
+
+    var drawPage = D3HarChart.prototype.drawPage,
+        drawItems = D3HarChart.prototype.drawItems;
+
+    function msToRoundedS(ms) {
+        var seconds = ms / 1000;
+        return Math.round(seconds * 100) / 100 + 's';
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) {
+            return bytes + ' B';
+        }
+        return Math.round(bytes / 1024 * 10) / 10 + ' KB';
+    }
+
+    /**
+     * HAR uses -1 for "unknown" and WebPageTest stores most numbers as strings.
+     */
+    function toNumber(value) {
+        value = Number(value);
+        return (isNaN(value) || value < 0) ? null : value;
+    }
+
+    function firstNumber(values) {
+        var i, value;
+
+        for (i = 0; i < values.length; i += 1) {
+            value = toNumber(values[i]);
+            if (value !== null) {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets the bytes transferred over the network for a request, and its size once decoded.
+     */
+    function getSizes(entry) {
+        var response = entry.response || {},
+            content = response.content || {},
+            headersSize = toNumber(response.headersSize),
+            bodySize = toNumber(response.bodySize);
+
+        return {
+            transfer: firstNumber([entry._bytesIn, response._transferSize,
+                (headersSize !== null && bodySize !== null) ? headersSize + bodySize : null]),
+            decoded: firstNumber([entry._objectSizeUncompressed, content.size, entry._objectSize])
+        };
+    }
+
+    /**
+     * Gets WebPageTest's optimization checks that apply to a request ("gzip", "cache"...),
+     * scored out of 100.
+     */
+    function getScores(entry) {
+        return Object.keys(entry).filter(function (key) {
+            return key.indexOf('_score_') === 0 && toNumber(entry[key]) !== null;
+        }).map(function (key) {
+            return {
+                name: key.replace('_score_', '').replace(/[_\-]/g, ' '),
+                score: toNumber(entry[key])
+            };
+        });
+    }
+
+    function getHeaders(message) {
+        return (message && message.headers) || [];
+    }
+
+    /**
+     * Appends a list of name / value pairs, skipping those without a value.
+     */
+    function appendDefinitions(parent, definitions) {
+        var list = parent.append('dl');
+
+        definitions.forEach(function (definition) {
+            if (definition[1] === null || definition[1] === undefined || definition[1] === '') {
+                return;
+            }
+            list.append('dt').text(definition[0]);
+            list.append('dd').text(definition[1]);
+        });
+        return list;
+    }
+
+    /**
+     * Appends a collapsible list of HTTP headers.
+     */
+    function appendHeaders(parent, title, headers) {
+        var details = parent.append('details');
+
+        details.append('summary').text(title + ' (' + headers.length + ')');
+        appendDefinitions(details, headers.map(function (header) {
+            return [header.name, header.value];
+        })).attr('class', 'detail-headers');
+    }
+
+    /**
+     * Fills a detail panel for an item.
+     *
+     * @param {d3.selection} panel - empty panel element
+     * @param {object} d - item, as returned by getRequestsFromHar
+     */
+    function renderPanel(panel, d) {
+        var entry = d.entry || {},
+            request = entry.request || {},
+            response = entry.response || {},
+            sizes = getSizes(entry),
+            initiator = d.initiator,
+            cacheHeaders = getHeaders(response).filter(function (header) {
+                return CACHE_HEADERS.indexOf(header.name.toLowerCase()) > -1;
+            }),
+            scores = getScores(entry),
+            phases;
+
+        appendDefinitions(panel, [
+            ['Status', response.status ? (response.status + ' ' + (response.statusText || '')).trim() : null],
+            ['Method', request.method],
+            ['MIME type', (response.content && response.content.mimeType) || entry._contentType],
+            ['Transferred', sizes.transfer !== null ? formatBytes(sizes.transfer) : null],
+            ['Decoded', sizes.decoded !== null ? formatBytes(sizes.decoded) : null],
+            ['Encoding', entry._contentEncoding],
+            ['Initiator', initiator ? initiator.url + (initiator.line ? ':' + initiator.line : '') : null],
+            ['Start', msToRoundedS(d.start)],
+            ['End', msToRoundedS(d.end) + ' (' + msToRoundedS(d.duration) + ')'],
+            ['Evaluated', entry._evaluate_ms >= 0 ?
+                    msToRoundedS(entry._evaluate_start_ms) + ' (' + Math.round(entry._evaluate_ms) + 'ms)' : null]
+        ]);
+
+        panel.append('h4').text('Timing');
+        phases = panel.append('dl').attr('class', 'detail-phases').selectAll('div')
+            .data(d.phases.filter(function (phase) {
+                return phase.duration > 0;
+            }))
+            .enter().append('div');
+        phases.append('dt')
+            .attr('class', function (phase) {
+                return 'label-phase-' + phase.name;
+            })
+            .text(function (phase) {
+                return PHASE_LABELS[phase.name] || phase.name;
+            });
+        phases.append('dd').text(function (phase) {
+            return Math.round(phase.duration) + 'ms';
+        });
+
+        if (cacheHeaders.length) {
+            panel.append('h4').text('Caching');
+            appendDefinitions(panel, cacheHeaders.map(function (header) {
+                return [header.name, header.value];
+            }));
+        }
+
+        if (scores.length) {
+            panel.append('h4').text('Optimization');
+            panel.append('ul').attr('class', 'detail-scores').selectAll('li')
+                .data(scores)
+                .enter().append('li')
+                .attr('class', function (score) {
+                    return score.score < 100 ? 'score-bad' : 'score-good';
+                })
+                .text(function (score) {
+                    return score.name + ': ' + score.score;
+                });
+        }
+
+        appendHeaders(panel, 'Request headers', getHeaders(request));
+        appendHeaders(panel, 'Response headers', getHeaders(response));
+    }
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        var keys;
+
+        drawPage.call(this, data, duration);
+        keys = data.map(function (d) {
+            return d.key;  // set by drawItems
+        });
+
+        // Close panels for requests that aren't on the page being shown
+        (this.pinnedItems || []).filter(function (d) {
+            return keys.indexOf(d.key) === -1;
+        }).forEach(this.unpinItem, this);
+    };
+
+    D3HarChart.prototype.drawItems = function (data, duration) {
+        var instance = this,
+            items = drawItems.call(this, data, duration),
+            pinnedKeys = (this.pinnedItems || []).map(function (d) {
+                return d.key;
+            });
+
+        items
+            .classed('pinned', function (d) {
+                return pinnedKeys.indexOf(d.key) > -1;
+            })
+            .on('click', function (d) {
+                instance.togglePinItem(this, d);
+            });
+
+        return items;
+    };
+
+    /**
+     * Opens a detail panel for an item, unless it already has one.
+     *
+     * @param {Element} element - the item's element
+     * @param {object} d - item, as returned by getRequestsFromHar
+     */
+    D3HarChart.prototype.pinItem = function (element, d) {
+        var instance = this,
+            panel;
+
+        this.pinnedItems = this.pinnedItems || [];
+        if (this.isPinned(d)) {
+            return;
+        }
+        if (this.pinnedItems.length >= MAX_PANELS) {
+            this.unpinItem(this.pinnedItems[0]);
+        }
+
+        if (!this.detailPanelsEl) {
+            this.detailPanelsEl = d3.select(this.element).append('div').attr('class', 'detail-panels');
+
+            // Scrolling or clicking in a panel shouldn't zoom or pan the chart underneath
+            ['wheel', 'mousedown', 'dblclick'].forEach(function (type) {
+                instance.detailPanelsEl.on(type, function () {
+                    d3.event.stopPropagation();
+                });
+            });
+        }
+
+        panel = this.detailPanelsEl.append('section')
+            .datum(d)
+            .attr('class', 'detail-panel')
+            .attr('aria-label', 'Details of ' + d.url);
+        panel.append('button')
+            .attr('class', 'detail-close')
+            .attr('aria-label', 'Close')
+            .text('×')
+            .on('click', function () {
+                instance.unpinItem(d);
+            });
+        panel.append('h3').text(d.url);
+        renderPanel(panel, d);
+
+        this.pinnedItems.push(d);
+        element.classList.add('pinned');
+        this.emit('itemPinned', element, d);
+    };
+
+    /**
+     * Closes an item's detail panel, or all panels if no item is given. Panels are matched by
+     * the item's key (its URL), and `itemUnpinned` is emitted for each one closed, with the
+     * item's element (null if it's no longer drawn, e.g. after switching pages) and the item.
+     *
+     * @param {object} [d] - item, as returned by getRequestsFromHar (or another window's copy of it)
+     */
+    D3HarChart.prototype.unpinItem = function (d) {
+        var pinned,
+            element = null;
+
+        if (!d) {
+            (this.pinnedItems || []).slice().forEach(this.unpinItem, this);
+            return;
+        }
+        pinned = (this.pinnedItems || []).filter(function (item) {
+            return item.key === d.key;
+        })[0];
+        if (!pinned) {
+            return;
+        }
+
+        this.pinnedItems.splice(this.pinnedItems.indexOf(pinned), 1);
+        this.detailPanelsEl.selectAll('.detail-panel').filter(function (item) {
+            return item.key === d.key;
+        }).remove();
+        this.items.filter(function (item) {
+            return item.key === d.key;
+        }).classed('pinned', false).each(function () {
+            element = this;
+        });
+        this.emit('itemUnpinned', element, pinned);
+    };
+
+    /**
+     * @param {object} d - item, as returned by getRequestsFromHar
+     * @returns {boolean} whether the item has a detail panel open
+     */
+    D3HarChart.prototype.isPinned = function (d) {
+        return (this.pinnedItems || []).some(function (pinned) {
+            return pinned.key === d.key;
+        });
+    };
+
+    /**
+     * Opens an item's detail panel, or closes it if it's already open.
+     *
+     * @param {Element} element - the item's element
+     * @param {object} d - item, as returned by getRequestsFromHar
+     */
+    D3HarChart.prototype.togglePinItem = function (element, d) {
+        if (this.isPinned(d)) {
+            this.unpinItem(d);
+        } else {
+            this.pinItem(element, d);
+        }
+    };
+
+}());
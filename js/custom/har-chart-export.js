@@ -0,0 +1,375 @@
+/*global D3HarChart, d3, document, window, Blob, Image, XMLSerializer, Promise*/
+
+/**
+ * Exports the chart as it is currently shown, for reuse outside the deck (blog posts, incident
+ * docs), as a standalone SVG or PNG image.
+ *
+ * The chart's layers (the waterfall, its axis and row labels, and any tracks) are copied with
+ * the styles charts.css currently gives them inlined, so slide states, selection and the
+ * visible milestones come out as they look on screen. The waterfall is cropped to the current
+ * zoom, and a legend is added for the colours in use.
+ */
+(function () {
+    'use strict';
+
+    var SVG_NS = 'http://www.w3.org/2000/svg',
+        LEGEND_HEIGHT = 30,         // px
+        LEGEND_SWATCH_SIZE = 12,    // px
+        LEGEND_FONT_SIZE = 12,      // px
+        LEGEND_SPACING = 16,        // px between entries
+        DEFAULT_BACKGROUND = '#222';
+
+    /**
+     * Properties copied from each element's computed style. Inherited ones are only written
+     * where they differ from the parent's.
+     */
+    var INHERITED_PROPERTIES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+            'stroke-dasharray', 'font-family', 'font-size', 'font-weight', 'text-anchor',
+            'shape-rendering', 'visibility'],
+        OTHER_PROPERTIES = {opacity: '1', 'vector-effect': 'none'};  // and their defaults
+
+    /**
+     * Prefixes of request classes to name legend entries after, in order of preference.
+     */
+    var LEGEND_CLASS_PREFIXES = ['filetype-', 'tag-', 'provider-'];
+
+    function createElement(name, attributes) {
+        var element = document.createElementNS(SVG_NS, name);
+
+        Object.keys(attributes || {}).forEach(function (key) {
+            element.setAttribute(key, attributes[key]);
+        });
+        return element;
+    }
+
+    function toLabel(name) {
+        var words = name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/-/g, ' ').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.substring(1);
+    }
+
+    /**
+     * Gets the colour behind the chart: the background of the nearest element that has one.
+     */
+    function getBackground(element) {
+        var color;
+
+        for (; element && element.nodeType === 1; element = element.parentNode) {
+            color = window.getComputedStyle(element).backgroundColor;
+            if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') {
+                return color;
+            }
+        }
+        return DEFAULT_BACKGROUND;
+    }
+
+    /**
+     * Copies an element's computed style onto its copy, and that of its descendants, leaving
+     * out anything not displayed.
+     *
+     * @param {Element} original
+     * @param {Element} copy - deep clone of `original`
+     * @param {CSSStyleDeclaration} [parentStyle] - computed style of the original's parent
+     * @param {function} [visit] - called with each displayed original element and its style
+     */
+    function inlineStyles(original, copy, parentStyle, visit) {
+        var style = window.getComputedStyle(original),
+            declarations = [],
+            originals = original.children,
+            copies = copy.children,
+            i;
+
+        INHERITED_PROPERTIES.forEach(function (property) {
+            var value = style.getPropertyValue(property);
+            if (value && (!parentStyle || value !== parentStyle.getPropertyValue(property))) {
+                declarations.push(property + ': ' + value);
+            }
+        });
+        Object.keys(OTHER_PROPERTIES).forEach(function (property) {
+            var value = style.getPropertyValue(property);
+            if (value && value !== OTHER_PROPERTIES[property]) {
+                declarations.push(property + ': ' + value);
+            }
+        });
+        copy.setAttribute('style', declarations.join('; '));
+        copy.removeAttribute('class');
+        copy.removeAttribute('tabindex');
+
+        if (visit) {
+            visit(original, style);
+        }
+
+        // Backwards, as hidden children are removed from the copy along the way
+        for (i = originals.length - 1; i >= 0; i -= 1) {
+            if (window.getComputedStyle(originals[i]).display === 'none') {
+                copy.removeChild(copies[i]);
+            } else {
+                inlineStyles(originals[i], copies[i], style, visit);
+            }
+        }
+    }
+
+    /**
+     * Names the colour of a set of bars after what sets them apart from bars of other colours:
+     * a timing phase, then a file type, tag or provider.
+     *
+     * @param {Array} bars - phase names and request class lists of the bars in this colour
+     * @param {Array} otherBars - those of bars in other colours
+     * @returns {string}
+     */
+    function getLegendLabel(bars, otherBars) {
+        var phases = d3.set(bars.map(function (bar) {
+                return bar.phase;
+            })).values(),
+            shared = bars.reduce(function (classes, bar) {
+                return classes.filter(function (name) {
+                    return bar.classes.indexOf(name) > -1;
+                });
+            }, bars[0].classes),
+            label = null;
+
+        function isDistinct(test) {
+            return !otherBars.some(test);
+        }
+
+        if (phases.length === 1 && isDistinct(function (bar) {
+            return bar.phase === phases[0];
+        })) {
+            return (D3HarChart.PHASE_LABELS && D3HarChart.PHASE_LABELS[phases[0]]) || toLabel(phases[0]);
+        }
+        LEGEND_CLASS_PREFIXES.some(function (prefix) {
+            return shared.some(function (name) {
+                if (name.indexOf(prefix) === 0 && isDistinct(function (bar) {
+                    return bar.classes.indexOf(name) > -1;
+                })) {
+                    label = toLabel(name.substring(prefix.length));
+                    return true;
+                }
+                return false;
+            });
+        });
+        return label || 'Other requests';
+    }
+
+    /**
+     * Draws a key to the bar colours in use, if there is more than one.
+     *
+     * @param {object} colors - bars drawn in each fill colour, as collected by buildExport
+     * @param {number} y - where to draw the legend
+     * @param {string} fontFamily
+     * @returns {Element|null}
+     */
+    function createLegend(colors, y, fontFamily) {
+        var fills = Object.keys(colors),
+            legend,
+            x = 0;
+
+        if (fills.length < 2) {
+            return null;
+        }
+
+        legend = createElement('g', {
+            'class': 'legend',
+            transform: 'translate(0,' + y + ')',
+            style: 'font-family: ' + (fontFamily || 'sans-serif') + '; font-size: ' + LEGEND_FONT_SIZE + 'px; fill: white'
+        });
+        fills.forEach(function (fill) {
+            var label = getLegendLabel(colors[fill], d3.merge(fills.filter(function (other) {
+                    return other !== fill;
+                }).map(function (other) {
+                    return colors[other];
+                }))),
+                text = createElement('text', {x: x + LEGEND_SWATCH_SIZE + 4, y: LEGEND_HEIGHT / 2, dy: '0.35em'});
+
+            legend.appendChild(createElement('rect', {
+                x: x,
+                y: (LEGEND_HEIGHT - LEGEND_SWATCH_SIZE) / 2,
+                width: LEGEND_SWATCH_SIZE,
+                height: LEGEND_SWATCH_SIZE,
+                style: 'fill: ' + fill
+            }));
+            text.textContent = label;
+            legend.appendChild(text);
+
+            // Text can't be measured outside the document; estimate its width
+            x += LEGEND_SWATCH_SIZE + 4 + label.length * LEGEND_FONT_SIZE * 0.6 + LEGEND_SPACING;
+        });
+        return legend;
+    }
+
+    /**
+     * Builds a standalone SVG element of the chart as currently shown.
+     *
+     * @param {D3HarChart} chart
+     * @returns {SVGElement}
+     */
+    function buildExport(chart) {
+        var element = chart.element,
+            width = element.clientWidth,
+            flowY = 0,
+            height = 0,
+            colors = {},
+            root = createElement('svg', {version: '1.1'}),
+            renderer = chart.renderer,
+            layers,
+            legend;
+
+        // Bars drawn by another renderer (e.g. to a canvas) aren't in the SVG to copy
+        if (renderer && renderer !== 'svg') {
+            D3HarChart.renderers.svg.draw(chart, chart.items, 0);
+        }
+
+        root.appendChild(createElement('rect', {width: '100%', height: '100%', style: 'fill: ' + getBackground(element)}));
+
+        layers = Array.prototype.filter.call(element.children, function (child) {
+            return child.tagName.toLowerCase() === 'svg' && !child.classList.contains('canvas-probes') &&
+                window.getComputedStyle(child).display !== 'none' && child.clientHeight > 0;
+        });
+
+        layers.forEach(function (layer) {
+            var style = window.getComputedStyle(layer),
+                copy = layer.cloneNode(true),
+                absolute = style.position === 'absolute',
+                zoom = chart.zoom,
+                x = absolute ? parseFloat(style.left) || 0 : 0,
+                y = absolute ? parseFloat(style.top) || 0 : flowY;
+
+            inlineStyles(layer, copy, null, function (original, originalStyle) {
+                var classes = original.parentNode.getAttribute('class') || '',
+                    fill = originalStyle.fill;
+
+                // Only bars that can be seen, of requests still on the page
+                if (!original.classList.contains('phase') || !/\brequest\b/.test(classes) ||
+                        originalStyle.opacity === '0' || !fill || fill === 'none' ||
+                        window.getComputedStyle(original.parentNode).opacity === '0') {
+                    return;
+                }
+                colors[fill] = colors[fill] || [];
+                colors[fill].push({
+                    phase: original.getAttribute('class').replace(/^.*phase-(\S+).*$/, '$1'),
+                    classes: classes.split(/\s+/)
+                });
+            });
+
+            copy.setAttribute('x', x);
+            copy.setAttribute('y', y);
+            copy.setAttribute('width', layer.clientWidth);
+            copy.setAttribute('height', layer.clientHeight);
+            copy.setAttribute('overflow', style.overflow === 'visible' ? 'visible' : 'hidden');
+
+            // The chart is zoomed with a CSS transform, which doesn't apply outside the page
+            if (layer === chart.chartEl.node() && zoom) {
+                copy.setAttribute('viewBox', [zoom.x0, zoom.y0, zoom.x1 - zoom.x0, zoom.y1 - zoom.y0].join(' '));
+            }
+
+            root.appendChild(copy);
+            if (!absolute) {
+                flowY += layer.clientHeight;
+            }
+            height = Math.max(height, y + layer.clientHeight);
+        });
+
+        if (renderer && renderer !== 'svg') {
+            D3HarChart.renderers[renderer].draw(chart, chart.items, 0);
+        }
+
+        legend = createLegend(colors, height, window.getComputedStyle(element).fontFamily);
+        if (legend) {
+            root.appendChild(legend);
+            height += LEGEND_HEIGHT;
+        }
+
+        root.setAttribute('width', width);
+        root.setAttribute('height', height);
+        root.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+        return root;
+    }
+
+    function buildDrawnExport(chart) {
+        if (!chart.chartEl) {
+            throw new Error('The chart hasn\'t been drawn yet');
+        }
+        return buildExport(chart);
+    }
+
+    /**
+     * Gets the chart as currently shown (zoom, slide state, selection) as a standalone SVG
+     * document, with its axis, milestones and a legend.
+     *
+     * @returns {string} SVG markup
+     */
+    D3HarChart.prototype.exportSVG = function () {
+        return new XMLSerializer().serializeToString(buildDrawnExport(this));
+    };
+
+    /**
+     * Gets the chart as currently shown as a PNG image.
+     *
+     * @param {number} [scale] - pixels per on-screen pixel; defaults to the screen's pixel ratio
+     * @returns {Promise} resolved with a PNG Blob
+     */
+    D3HarChart.prototype.exportPNG = function (scale) {
+        var root = buildDrawnExport(this),
+            svg = new XMLSerializer().serializeToString(root);
+
+        scale = scale || window.devicePixelRatio || 1;
+
+        return new Promise(function (resolve, reject) {
+            var image = new Image();
+
+            image.onload = function () {
+                var canvas = document.createElement('canvas');
+
+                canvas.width = Math.round(Number(root.getAttribute('width')) * scale);
+                canvas.height = Math.round(Number(root.getAttribute('height')) * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(function (blob) {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Couldn\'t export the chart as PNG'));
+                    }
+                }, 'image/png');
+            };
+            image.onerror = function () {
+                reject(new Error('Couldn\'t export the chart as PNG'));
+            };
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+        });
+    };
+
+    /**
+     * Exports the chart as currently shown and saves it as a download.
+     *
+     * @param {string} [format] - 'png' (the default) or 'svg'
+     * @param {string} [filename] - defaults to chart.png or chart.svg
+     * @param {number} [scale] - for PNG, pixels per on-screen pixel
+     * @returns {Promise} resolved once the download has started
+     */
+    D3HarChart.prototype.downloadExport = function (format, filename, scale) {
+        var blob;
+
+        format = format || 'png';
+        if (format === 'svg') {
+            blob = Promise.resolve(new Blob([this.exportSVG()], {type: 'image/svg+xml'}));
+        } else if (format === 'png') {
+            blob = this.exportPNG(scale);
+        } else {
+            return Promise.reject(new Error('Unknown export format "' + format + '"'));
+        }
+
+        return blob.then(function (data) {
+            var url = window.URL.createObjectURL(data),
+                link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename || 'chart.' + format;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.setTimeout(function () {
+                window.URL.revokeObjectURL(url);
+            }, 0);
+        });
+    };
+
+}());
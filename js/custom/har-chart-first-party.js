@@ -0,0 +1,249 @@
+/*global D3HarChart, d3*/
+
+/**
+ * First-party detection for D3HarChart. With the `detectFirstParty` option, the hosts counted
+ * as first party (the `firstParty` tag) are inferred from each page load rather than listed by
+ * hand in `firstPartyHosts`:
+ *   - the registrable domain of the page's URL (gawker.com for www.gawker.com),
+ *   - hosts sharing a server IP address (`_ip_addr` or `serverIPAddress`) with a first-party host,
+ *   - hosts sharing a TLS certificate (`_securityDetails`) with a first-party host,
+ *   - domains that first-party responses set cookies for.
+ * Hosts in `firstPartyHosts` are added to the inferred set and hosts in `thirdPartyHosts` are
+ * taken out of it (e.g. a CDN whose shared IP addresses make its other customers look like
+ * first parties).
+ *
+ * The hosts and why each counts as first party are listed in a legend in the chart, shown
+ * with the `firstPartyLegend` option or a slide state (.chart-show-first-party).
+ *
+ * Also fixes D3HarChart.arrayToDomainRegex matching any host ending in a listed domain
+ * (notgawker.com for gawker.com), rather than just the domain and its subdomains.
+ */
+(function () {
+    'use strict';
+
+    /**
+     * Public suffixes of more than one part, for finding registrable domains (not a full
+     * public suffix list; just the common ones).
+     */
+    var MULTI_PART_SUFFIXES = ['co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au',
+            'co.nz', 'co.jp', 'ne.jp', 'com.br', 'com.cn', 'com.mx', 'co.in', 'co.za', 'com.tr'],
+        REASON_LABELS = {
+            page: 'page URL',
+            ip: 'shares an IP address',
+            certificate: 'shares a TLS certificate',
+            cookie: 'cookie domain',
+            option: 'listed'
+        };
+
+    var getRequestsFromHar = D3HarChart.prototype.getRequestsFromHar,
+        drawPage = D3HarChart.prototype.drawPage;
+
+    function escapeRegExp(text) {
+        return text.replace(/[\-\[\]\/{}()*+?.\\\^$|]/g, '\\$&');
+    }
+
+    function getHost(url) {
+        var match = /^[a-z]+:\/\/([^\/?#:]+)/i.exec(url || '');
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    function isSubdomain(host, domain) {
+        return host === domain || host.substring(host.length - domain.length - 1) === '.' + domain;
+    }
+
+    /**
+     * Gets the domain a host was registered under, e.g. gawker.com for www.gawker.com.
+     *
+     * @param {string} host
+     * @returns {string}
+     */
+    D3HarChart.getRegistrableDomain = function (host) {
+        var labels = host.split('.'),
+            count = MULTI_PART_SUFFIXES.indexOf(labels.slice(-2).join('.')) > -1 ? 3 : 2;
+
+        if (/^[\d.]+$/.test(host) || host.indexOf(':') > -1) {
+            return host;  // IP address
+        }
+        return labels.slice(-count).join('.');
+    };
+
+    /**
+     * Matches domains and their subdomains (only).
+     *
+     * @param {Array} domains
+     * @returns {RegExp}
+     */
+    D3HarChart.arrayToDomainRegex = function (domains) {
+        if (!domains.length) {
+            return /(?!)/;
+        }
+        return new RegExp('(^|\\.)(' + domains.map(escapeRegExp).join('|') + ')$');
+    };
+
+    function getServerIp(entry) {
+        var ip = entry._ip_addr || entry.serverIPAddress;
+        return ip && ip !== '127.0.0.1' && ip !== '::1' ? ip.replace(/^\[|\]$/g, '') : null;
+    }
+
+    function getCertificateKey(entry) {
+        var details = entry._securityDetails;
+        return details && details.subjectName ?
+            [details.subjectName, details.issuer, details.validFrom, details.validTo].join('|') : null;
+    }
+
+    function getCookieDomains(entry) {
+        var response = entry.response || {},
+            domains = (response.cookies || []).map(function (cookie) {
+                return cookie.domain;
+            });
+
+        (response.headers || []).forEach(function (header) {
+            var match = header.name.toLowerCase() === 'set-cookie' && /;\s*domain=([^;]+)/i.exec(header.value);
+            if (match) {
+                domains.push(match[1]);
+            }
+        });
+        return domains.filter(Boolean).map(function (domain) {
+            return domain.trim().replace(/^\./, '').toLowerCase();
+        });
+    }
+
+    /**
+     * Infers which hosts of a page load are first party.
+     *
+     * @param {object} harData - parsed HAR file
+     * @param {string} [pageId] - defaults to the first page
+     * @param {object} [options] - `firstPartyHosts` to add and `thirdPartyHosts` to leave out
+     * @returns {Array} first-party domains, each with `host` (also covering its subdomains)
+     *   and `reason` ('page', 'ip', 'certificate', 'cookie' or 'option')
+     */
+    D3HarChart.detectFirstPartyHosts = function (harData, pageId, options) {
+        var page = D3HarChart.getHarPage(harData, pageId),
+            entries = harData.log.entries.filter(function (entry) {
+                return harData.log.pages.length < 2 || entry.pageref === page.id;
+            }),
+            excluded = (options && options.thirdPartyHosts) || [],
+            found = [],
+            ips = {},
+            certificates = {},
+            pageHost = getHost(page._URL) || getHost(entries.length && entries[0].request.url);
+
+        function isFirstParty(host) {
+            return found.some(function (domain) {
+                return isSubdomain(host, domain.host);
+            });
+        }
+
+        function add(host, reason) {
+            if (host && !isFirstParty(host) && !excluded.some(function (domain) {
+                    return isSubdomain(host, domain);
+                })) {
+                found.push({host: host, reason: reason});
+            }
+        }
+
+        if (pageHost) {
+            add(D3HarChart.getRegistrableDomain(pageHost), 'page');
+        }
+        ((options && options.firstPartyHosts) || []).forEach(function (host) {
+            add(host, 'option');
+        });
+
+        // What the first-party hosts found so far have in common with other hosts
+        entries.forEach(function (entry) {
+            var host = getHost(entry.request.url);
+
+            if (!host || !isFirstParty(host)) {
+                return;
+            }
+            if (getServerIp(entry)) {
+                ips[getServerIp(entry)] = true;
+            }
+            if (getCertificateKey(entry)) {
+                certificates[getCertificateKey(entry)] = true;
+            }
+            getCookieDomains(entry).forEach(function (domain) {
+                // Browsers only accept cookies for the host's own domain or its parents, short
+                //  of a public suffix
+                if (isSubdomain(host, domain) && domain.indexOf('.') > -1 && MULTI_PART_SUFFIXES.indexOf(domain) === -1) {
+                    add(domain, 'cookie');
+                }
+            });
+        });
+
+        entries.forEach(function (entry) {
+            var host = getHost(entry.request.url);
+
+            if (ips[getServerIp(entry)]) {
+                add(host, 'ip');
+            } else if (certificates[getCertificateKey(entry)]) {
+                add(host, 'certificate');
+            }
+        });
+
+        return found;
+    };
+
+    /**
+     * Matches first-party hosts: the domains found and their subdomains, except third-party
+     * hosts (which may be subdomains of a first-party domain).
+     */
+    function getFirstPartyRegex(firstParty, thirdPartyHosts) {
+        var regex = D3HarChart.arrayToDomainRegex(firstParty.map(function (domain) {
+            return domain.host;
+        }));
+
+        if (!firstParty.length || !thirdPartyHosts || !thirdPartyHosts.length) {
+            return regex;
+        }
+        return new RegExp('^(?!(.*\\.)?(' + thirdPartyHosts.map(escapeRegExp).join('|') + ')$).*' + regex.source);
+    }
+
+    D3HarChart.prototype.getRequestsFromHar = function (harData, pageId) {
+        var config = this.options,
+            firstParty;
+
+        if (config.detectFirstParty) {
+            firstParty = D3HarChart.detectFirstPartyHosts(harData, pageId, config);
+            this.firstPartyRegex = getFirstPartyRegex(firstParty, config.thirdPartyHosts);
+            if (harData === this.harObject) {
+                this.firstPartyHosts = firstParty;
+            }
+        }
+        return getRequestsFromHar.call(this, harData, pageId);
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        drawPage.call(this, data, duration);
+        if (this.options.detectFirstParty) {
+            this.drawFirstPartyLegend();
+        }
+    };
+
+    /**
+     * Lists the hosts counted as first party on the displayed page, and why.
+     */
+    D3HarChart.prototype.drawFirstPartyLegend = function () {
+        var hosts;
+
+        if (!this.firstPartyLegendEl) {
+            this.firstPartyLegendEl = d3.select(this.element).append('div')
+                .attr('class', 'first-party-legend')
+                .classed('visible', Boolean(this.options.firstPartyLegend));
+            this.firstPartyLegendEl.append('strong').text('First party');
+            this.firstPartyLegendEl.append('ul');
+        }
+
+        hosts = this.firstPartyLegendEl.select('ul').selectAll('li').data(this.firstPartyHosts || []);
+        hosts.exit().remove();
+        hosts.enter().append('li');
+        hosts.html('');
+        hosts.append('span').attr('class', 'first-party-host').text(function (domain) {
+            return domain.host;
+        });
+        hosts.append('span').attr('class', 'first-party-reason').text(function (domain) {
+            return ' ' + REASON_LABELS[domain.reason];
+        });
+    };
+
+}());
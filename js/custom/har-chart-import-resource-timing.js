@@ -0,0 +1,241 @@
+/*global D3HarChart*/
+
+/**
+ * Importer for Resource Timing and Navigation Timing data collected from real users, e.g.
+ * `JSON.stringify(performance.getEntries())` sent in a beacon.
+ *
+ * Accepts either an array of serialized performance entries ('navigation', 'resource' and
+ * 'paint' entries are used; others are ignored), or an object with:
+ *   `resources` - 'resource' entries,
+ *   `navigation` - the 'navigation' entry, or the older `performance.timing` object,
+ *   `paint` - optionally, 'paint' entries,
+ *   `url` and `timeOrigin` - optionally, the page's URL and `performance.timeOrigin`.
+ *
+ * Resource Timing doesn't say what type of content a response was, so types are guessed from
+ * each entry's `initiatorType` and file extension. Cross-origin resources without a
+ * Timing-Allow-Origin header only have a start and end time; their bars are drawn as a single
+ * blocked phase.
+ */
+(function () {
+    'use strict';
+
+    var EXTENSION_MIME_TYPES = {
+        js: 'application/javascript',
+        mjs: 'application/javascript',
+        css: 'text/css',
+        html: 'text/html',
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        svg: 'image/svg+xml',
+        webp: 'image/webp',
+        ico: 'image/x-icon',
+        woff: 'font/woff',
+        woff2: 'font/woff2',
+        ttf: 'font/ttf',
+        otf: 'font/otf'
+    };
+
+    var INITIATOR_MIME_TYPES = {
+        navigation: 'text/html',
+        iframe: 'text/html',
+        script: 'application/javascript',
+        img: 'image/*',
+        image: 'image/*',
+        input: 'image/*'
+    };
+
+    function isEntry(entry) {
+        return Boolean(entry) && typeof entry.entryType === 'string' && typeof entry.startTime === 'number';
+    }
+
+    function getEntries(data, entryType) {
+        return data.filter(function (entry) {
+            return entry.entryType === entryType;
+        });
+    }
+
+    /**
+     * Normalizes the accepted formats to `navigation`, `resources`, `paint`, `url` and
+     * `timeOrigin`, with navigation times in ms relative to the start of the page load.
+     */
+    function normalize(data) {
+        var navigation,
+            timeOrigin;
+
+        if (Array.isArray(data)) {
+            data = {
+                navigation: getEntries(data, 'navigation')[0],
+                resources: getEntries(data, 'resource'),
+                paint: getEntries(data, 'paint')
+            };
+        }
+        navigation = data.navigation || null;
+        timeOrigin = data.timeOrigin;
+
+        // Navigation Timing level 1 uses epoch timestamps
+        if (navigation && navigation.navigationStart > 0) {
+            timeOrigin = timeOrigin || navigation.navigationStart;
+            navigation = Object.keys(navigation).reduce(function (relative, key) {
+                if (typeof navigation[key] === 'number') {
+                    relative[key] = navigation[key] > 0 ? navigation[key] - timeOrigin : 0;
+                }
+                return relative;
+            }, {entryType: 'navigation', name: data.url, initiatorType: 'navigation'});
+            navigation.startTime = 0;
+        }
+
+        return {
+            navigation: navigation,
+            resources: data.resources || [],
+            paint: data.paint || [],
+            url: data.url || (navigation && navigation.name),
+            timeOrigin: timeOrigin || 0
+        };
+    }
+
+    function guessMimeType(entry) {
+        var extension = (entry.name.replace(/[?#].*/, '').match(/\.([a-z0-9]+)$/i) || [])[1],
+            mimeType = extension && EXTENSION_MIME_TYPES[extension.toLowerCase()];
+
+        if (mimeType) {
+            return mimeType;
+        }
+        if (entry.initiatorType === 'css') {
+            return '';  // requested by a stylesheet: an image or font, but we can't tell which
+        }
+        return INITIATOR_MIME_TYPES[entry.initiatorType || entry.entryType] || '';
+    }
+
+    /**
+     * Gets an entry's timing phases. Timestamps are 0 when a phase didn't happen, or when a
+     * cross-origin server didn't allow them to be shared.
+     */
+    function getTimings(entry) {
+        function between(start, end) {
+            return (entry[start] > 0 && entry[end] >= entry[start]) ? entry[end] - entry[start] : -1;
+        }
+
+        if (!entry.requestStart) {
+            return {blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: -1, receive: -1};
+        }
+        return {
+            blocked: Math.max((entry.domainLookupStart || entry.requestStart) - entry.startTime, 0),
+            dns: between('domainLookupStart', 'domainLookupEnd'),
+            connect: between('connectStart', 'connectEnd'),
+            ssl: between('secureConnectionStart', 'connectEnd'),
+            send: 0,
+            wait: between('requestStart', 'responseStart'),
+            receive: between('responseStart', 'responseEnd')
+        };
+    }
+
+    function toEntry(entry, startDate) {
+        var transferSize = typeof entry.transferSize === 'number' ? entry.transferSize : -1;
+
+        return {
+            pageref: 'page_1',
+            startedDateTime: new Date(startDate.getTime() + entry.startTime).toISOString(),
+            time: Math.max(entry.responseEnd - entry.startTime, 0),
+            request: {
+                method: 'GET',
+                url: entry.name,
+                httpVersion: entry.nextHopProtocol || '',
+                headers: [],
+                queryString: [],
+                cookies: [],
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: {
+                status: entry.responseStatus || 0,
+                statusText: '',
+                httpVersion: entry.nextHopProtocol || '',
+                headers: [],
+                cookies: [],
+                content: {
+                    size: entry.decodedBodySize > 0 ? entry.decodedBodySize : -1,
+                    mimeType: guessMimeType(entry)
+                },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: entry.encodedBodySize > 0 ? entry.encodedBodySize : -1,
+                _transferSize: transferSize
+            },
+            cache: {},
+            timings: getTimings(entry),
+            _initiatorType: entry.initiatorType || entry.entryType,
+            // Served from the browser cache without revalidation
+            _fromCache: transferSize === 0 && entry.decodedBodySize > 0
+        };
+    }
+
+    /**
+     * Gets the time of the first of a list of paint entries the page has, e.g. 'first-paint'.
+     */
+    function getPaintTime(paint, names) {
+        var entry = paint.filter(function (p) {
+            return names.indexOf(p.name) > -1;
+        }).sort(function (a, b) {
+            return names.indexOf(a.name) - names.indexOf(b.name);
+        })[0];
+        return entry ? entry.startTime : -1;
+    }
+
+    D3HarChart.importers.resourceTiming = {
+        detect: function (data) {
+            if (Array.isArray(data)) {
+                return data.length > 0 && data.every(isEntry);
+            }
+            return Boolean(data) && Array.isArray(data.resources) && data.resources.every(isEntry);
+        },
+
+        /**
+         * @param {Array|object} data - serialized performance entries (see above)
+         * @returns {object} HAR object with a single page
+         */
+        toHar: function (data) {
+            var timing = normalize(data),
+                navigation = timing.navigation,
+                startDate = new Date(timing.timeOrigin),
+                entries = timing.resources.slice(),
+                end;
+
+            if (navigation && navigation.name) {
+                entries.unshift(navigation);
+            }
+            entries = entries.sort(function (a, b) {
+                return a.startTime - b.startTime;
+            }).map(function (entry) {
+                return toEntry(entry, startDate);
+            });
+
+            end = Math.max.apply(Math, [0].concat(timing.resources.map(function (entry) {
+                return entry.responseEnd;
+            })));
+
+            return {
+                log: {
+                    version: '1.2',
+                    creator: {name: 'D3HarChart Resource Timing importer', version: '1.0'},
+                    pages: [{
+                        id: 'page_1',
+                        title: timing.url || 'Resource Timing',
+                        startedDateTime: startDate.toISOString(),
+                        pageTimings: {
+                            // Without a load event (e.g. beaconed before load), show every resource
+                            onLoad: (navigation && navigation.loadEventStart > 0) ? navigation.loadEventStart : end,
+                            onContentLoad: (navigation && navigation.domContentLoadedEventStart > 0) ?
+                                    navigation.domContentLoadedEventStart : -1
+                        },
+                        _firstPaint: getPaintTime(timing.paint, ['first-paint', 'first-contentful-paint']),
+                        _domInteractive: (navigation && navigation.domInteractive > 0) ? navigation.domInteractive : -1
+                    }],
+                    entries: entries
+                }
+            };
+        }
+    };
+
+}());
@@ -0,0 +1,271 @@
+/*global D3HarChart*/
+
+/**
+ * Importer for Chrome trace event JSON, as saved from the DevTools Performance panel or
+ * recorded with `chrome --trace-startup` (needs the `devtools.timeline` category).
+ *
+ * Requests are rebuilt from the ResourceSendRequest, ResourceReceiveResponse,
+ * ResourceReceivedData and ResourceFinish events; EvaluateScript events add how long each
+ * script took to run (`_evaluate_start_ms` and `_evaluate_ms` on its entry). The trace itself
+ * is kept with the HAR (`log._trace`), so the 'cpu' track works without loading it again.
+ */
+(function () {
+    'use strict';
+
+    var START_DATE = new Date(0);  // traces use a monotonic clock, not wall-clock time
+
+    function getEvents(trace) {
+        return Array.isArray(trace) ? trace : trace.traceEvents;
+    }
+
+    function getData(event) {
+        return (event.args && event.args.data) || {};
+    }
+
+    /**
+     * Gets the duration between two of Chrome's resource timing marks (ms offsets from the
+     * request's `requestTime`, or -1 if the phase didn't happen).
+     */
+    function getPhase(timing, start, end) {
+        return (timing[start] >= 0 && timing[end] >= 0) ? timing[end] - timing[start] : -1;
+    }
+
+    function toDateTime(ms) {
+        return new Date(START_DATE.getTime() + ms).toISOString();
+    }
+
+    /**
+     * Gathers the events for each request, by request ID, in the order requests were sent.
+     */
+    function getRequests(events) {
+        var requests = {},
+            order = [];
+
+        events.forEach(function (event) {
+            var data = getData(event),
+                request = requests[data.requestId];
+
+            if (event.name === 'ResourceSendRequest' && !request) {
+                request = requests[data.requestId] = {send: event, receivedBytes: 0};
+                order.push(request);
+            }
+            if (!request) {
+                return;
+            }
+
+            if (event.name === 'ResourceReceiveResponse') {
+                request.response = event;
+            } else if (event.name === 'ResourceReceivedData') {
+                request.receivedBytes += data.encodedDataLength || 0;
+                request.lastData = event;
+            } else if (event.name === 'ResourceFinish') {
+                request.finish = event;
+            }
+        });
+
+        return order.sort(function (a, b) {
+            return a.send.ts - b.send.ts;
+        });
+    }
+
+    /**
+     * Gets the time (on the trace's clock, in ms) of the first of a page-level mark, e.g.
+     * 'MarkLoad'.
+     */
+    function getMarkTime(events, names) {
+        var marks = events.filter(function (event) {
+            return names.indexOf(event.name) > -1 && getData(event).isMainFrame !== false;
+        }).sort(function (a, b) {
+            return a.ts - b.ts;
+        });
+        return marks.length ? marks[0].ts / 1000 : null;
+    }
+
+    /**
+     * Gets how long each script took to evaluate, by URL.
+     */
+    function getScriptEvaluations(events) {
+        var evaluations = {};
+
+        events.forEach(function (event) {
+            var url = getData(event).url,
+                evaluation;
+
+            if (event.name !== 'EvaluateScript' || !url || typeof event.dur !== 'number') {
+                return;
+            }
+            evaluation = evaluations[url] = evaluations[url] || {start: event.ts / 1000, duration: 0};
+            evaluation.start = Math.min(evaluation.start, event.ts / 1000);
+            evaluation.duration += event.dur / 1000;
+        });
+        return evaluations;
+    }
+
+    /**
+     * Converts a request's events to a HAR entry.
+     *
+     * @param {object} request - the request's events
+     * @param {number} pageStart - when the page load started (on the trace's clock, in ms)
+     * @param {object} evaluations - script evaluation times by URL
+     * @returns {object} HAR entry
+     */
+    function toEntry(request, pageStart, evaluations) {
+        var sendData = getData(request.send),
+            responseData = request.response ? getData(request.response) : {},
+            finishData = request.finish ? getData(request.finish) : {},
+            timing = responseData.timing,
+            start = request.send.ts / 1000,
+            responseTime = request.response ? request.response.ts / 1000 : start,
+            end = finishData.finishTime > 0 ? finishData.finishTime * 1000 :
+                    (request.finish || request.lastData || request.response || request.send).ts / 1000,
+            transferSize = finishData.encodedDataLength >= 0 ? finishData.encodedDataLength : request.receivedBytes,
+            evaluation = evaluations[sendData.url],
+            timings,
+            requestStart,
+            firstPhase,
+            entry;
+
+        if (timing) {
+            requestStart = timing.requestTime * 1000;
+            firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].filter(function (t) {
+                return t >= 0;
+            })[0] || 0;
+            timings = {
+                blocked: Math.max(requestStart - start, 0) + firstPhase,
+                dns: getPhase(timing, 'dnsStart', 'dnsEnd'),
+                connect: getPhase(timing, 'connectStart', 'connectEnd'),
+                ssl: getPhase(timing, 'sslStart', 'sslEnd'),
+                send: Math.max(getPhase(timing, 'sendStart', 'sendEnd'), 0),
+                wait: Math.max(getPhase(timing, 'sendEnd', 'receiveHeadersEnd'), 0),
+                receive: Math.max(end - requestStart - timing.receiveHeadersEnd, 0)
+            };
+        } else {
+            // Cached and failed requests have no network timing
+            timings = {
+                blocked: -1,
+                dns: -1,
+                connect: -1,
+                ssl: -1,
+                send: 0,
+                wait: Math.max(responseTime - start, 0),
+                receive: Math.max(end - responseTime, 0)
+            };
+        }
+
+        entry = {
+            pageref: 'page_1',
+            startedDateTime: toDateTime(start - pageStart),
+            time: Math.max(end - start, 0),
+            request: {
+                method: sendData.requestMethod || 'GET',
+                url: sendData.url,
+                httpVersion: responseData.protocol || '',
+                headers: [],
+                queryString: [],
+                cookies: [],
+                headersSize: -1,
+                bodySize: -1
+            },
+            response: {
+                status: finishData.didFail ? 0 : (responseData.statusCode || 0),
+                statusText: '',
+                httpVersion: responseData.protocol || '',
+                headers: [],
+                cookies: [],
+                content: {
+                    size: finishData.decodedBodyLength >= 0 ? finishData.decodedBodyLength : -1,
+                    mimeType: responseData.mimeType || ''
+                },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: transferSize,
+                _transferSize: transferSize
+            },
+            cache: {},
+            timings: timings,
+            _priority: sendData.priority,
+            _fromCache: Boolean(responseData.fromCache)
+        };
+
+        if (responseData.connectionId) {
+            entry.connection = String(responseData.connectionId);
+        }
+        if (responseData.remoteIPAddress) {
+            entry.serverIPAddress = responseData.remoteIPAddress;
+        }
+        if (sendData.initiator && sendData.initiator.url) {
+            entry._initiator = sendData.initiator.url;
+            entry._initiator_line = sendData.initiator.lineNumber;
+        } else if (sendData.stackTrace && sendData.stackTrace.length) {
+            entry._initiator = sendData.stackTrace[0].url;
+            entry._initiator_line = sendData.stackTrace[0].lineNumber;
+        }
+        if (evaluation) {
+            entry._evaluate_start_ms = evaluation.start - pageStart;
+            entry._evaluate_ms = evaluation.duration;
+        }
+        return entry;
+    }
+
+    D3HarChart.importers.trace = {
+        detect: function (data) {
+            var events = data && getEvents(data);
+
+            return Array.isArray(events) && events.some(function (event) {
+                return event.name === 'ResourceSendRequest';
+            });
+        },
+
+        /**
+         * @param {Array|object} trace - trace events, or an object with `traceEvents`
+         * @returns {object} HAR object with a single page
+         */
+        toHar: function (trace) {
+            var events = getEvents(trace),
+                requests = getRequests(events),
+                evaluations = getScriptEvaluations(events),
+                pageStart = getMarkTime(events, ['navigationStart']),
+                entries,
+                end,
+                onLoad,
+                onContentLoad,
+                firstPaint;
+
+            if (pageStart === null || pageStart > requests[0].send.ts / 1000) {
+                pageStart = requests[0].send.ts / 1000;
+            }
+
+            entries = requests.map(function (request) {
+                return toEntry(request, pageStart, evaluations);
+            });
+            end = Math.max.apply(Math, entries.map(function (entry) {
+                return new Date(entry.startedDateTime) - START_DATE + entry.time;
+            }));
+
+            onLoad = getMarkTime(events, ['MarkLoad', 'loadEventEnd']);
+            onContentLoad = getMarkTime(events, ['MarkDOMContent', 'domContentLoadedEventEnd']);
+            firstPaint = getMarkTime(events, ['firstPaint', 'firstContentfulPaint']);
+
+            return {
+                log: {
+                    version: '1.2',
+                    creator: {name: 'D3HarChart trace importer', version: '1.0'},
+                    pages: [{
+                        id: 'page_1',
+                        title: entries[0].request.url,
+                        startedDateTime: toDateTime(0),
+                        pageTimings: {
+                            // Without a load event, show everything in the trace
+                            onLoad: onLoad === null ? end : onLoad - pageStart,
+                            onContentLoad: onContentLoad === null ? -1 : onContentLoad - pageStart
+                        },
+                        _firstPaint: firstPaint === null ? -1 : firstPaint - pageStart
+                    }],
+                    entries: entries,
+                    _trace: trace
+                }
+            };
+        }
+    };
+
+}());
@@ -0,0 +1,302 @@
+/*global D3HarChart*/
+
+/**
+ * Importer for WebPageTest results, as returned by `jsonResult.php?test=<id>`, so tests don't
+ * need exporting to HAR by hand.
+ *
+ * Results usually hold several runs, each with a first view and (optionally) a repeat view.
+ * One run is picked for each view, by the `wptRun` option:
+ *   'median' (default) - the median run by the `wptMetric` option (default 'loadTime'),
+ *   'fastest' or 'slowest' - by the same metric,
+ *   a number - that run.
+ * Picked views become pages in the same shape as WebPageTest's own HAR export (page IDs like
+ * 'page_3_0' and 'page_3_1', and its `_`-prefixed page and request fields), so they draw just
+ * like gawker.com.wpt.har.json. Each request also gets a `_variance` of when it started and
+ * ended across all successful runs (see har-chart-variance.js).
+ */
+(function () {
+    'use strict';
+
+    var RUN = 'median',
+        METRIC = 'loadTime',
+        VIEWS = ['firstView', 'repeatView'],
+        VIEW_LABELS = {firstView: 'First View', repeatView: 'Repeat View'},
+        SUCCESSFUL_RESULTS = [0, 99999];  // 99999: content errors (e.g. a 404), but otherwise fine
+
+    function getResult(data) {
+        return data.data || data;
+    }
+
+    function toNumber(value) {
+        value = Number(value);
+        return isNaN(value) ? -1 : value;
+    }
+
+    function isScalar(value) {
+        return value === null || ['string', 'number', 'boolean'].indexOf(typeof value) > -1;
+    }
+
+    /**
+     * Copies the fields WebPageTest recorded about a view or request, prefixed with `_`.
+     */
+    function copyFields(target, source) {
+        Object.keys(source).forEach(function (key) {
+            if (isScalar(source[key])) {
+                target['_' + key] = source[key];
+            }
+        });
+        return target;
+    }
+
+    /**
+     * Parses raw header lines ("Name: value"); the first line is the request or status line.
+     */
+    function parseHeaders(lines) {
+        lines = lines || [];
+        return {
+            firstLine: lines[0] || '',
+            headers: lines.slice(1).filter(function (line) {
+                return line.indexOf(':') > 0;
+            }).map(function (line) {
+                var separator = line.indexOf(':');
+                return {
+                    name: line.substring(0, separator).trim(),
+                    value: line.substring(separator + 1).trim()
+                };
+            })
+        };
+    }
+
+    /**
+     * Gets the successful runs of a view, with the run number set on each.
+     */
+    function getViews(result, view) {
+        return Object.keys(result.runs || {}).map(function (run) {
+            var data = result.runs[run][view];
+            if (data) {
+                data.run = data.run || Number(run);
+            }
+            return data;
+        }).filter(function (data) {
+            return data && data.requests && SUCCESSFUL_RESULTS.indexOf(toNumber(data.result)) > -1;
+        });
+    }
+
+    /**
+     * Picks one run of a view.
+     *
+     * @param {object} result - WebPageTest result
+     * @param {string} view - 'firstView' or 'repeatView'
+     * @param {Array} views - successful runs of the view
+     * @param {object} options - chart options (see above)
+     * @returns {object|undefined} the picked run's view
+     */
+    function pickView(result, view, views, options) {
+        var run = options.wptRun || RUN,
+            metric = options.wptMetric || METRIC,
+            sorted;
+
+        if (typeof run === 'number') {
+            return views.filter(function (data) {
+                return data.run === run;
+            })[0];
+        }
+
+        // Use WebPageTest's own choice of median run where it made one for the same metric
+        if (run === 'median' && metric === METRIC && result.median && result.median[view]) {
+            sorted = views.filter(function (data) {
+                return data.run === result.median[view].run;
+            });
+            if (sorted.length) {
+                return sorted[0];
+            }
+        }
+
+        sorted = views.slice().sort(function (a, b) {
+            return toNumber(a[metric]) - toNumber(b[metric]);
+        });
+        if (run === 'fastest') {
+            return sorted[0];
+        }
+        if (run === 'slowest') {
+            return sorted[sorted.length - 1];
+        }
+        if (run === 'median') {
+            return sorted[Math.floor((sorted.length - 1) / 2)];
+        }
+        throw new Error('Unknown WebPageTest run "' + run + '"');
+    }
+
+    /**
+     * Matches requests by URL, numbering repeated requests for the same URL so they are
+     * matched up in order.
+     */
+    function getRequestKeys(requests) {
+        var counts = {};
+
+        return requests.map(function (request) {
+            var url = request.full_url || request.url;
+
+            counts[url] = (counts[url] || 0) + 1;
+            return url + '#' + counts[url];
+        });
+    }
+
+    /**
+     * Gets the range of start and end times of each request across runs of a view, by request key.
+     */
+    function getVariance(views) {
+        var variance = {};
+
+        views.forEach(function (data) {
+            var keys = getRequestKeys(data.requests);
+
+            data.requests.forEach(function (request, i) {
+                var start = toNumber(request.load_start),
+                    end = start + toNumber(request.all_ms),
+                    range = variance[keys[i]];
+
+                if (!range) {
+                    range = variance[keys[i]] = {runs: 0, startMin: start, startMax: start, endMin: end, endMax: end};
+                }
+                range.runs += 1;
+                range.startMin = Math.min(range.startMin, start);
+                range.startMax = Math.max(range.startMax, start);
+                range.endMin = Math.min(range.endMin, end);
+                range.endMax = Math.max(range.endMax, end);
+            });
+        });
+        return variance;
+    }
+
+    function toEntry(request, pageId, startDate, variance) {
+        var requestHeaders = parseHeaders(request.headers && request.headers.request),
+            responseHeaders = parseHeaders(request.headers && request.headers.response),
+            requestLine = requestHeaders.firstLine.split(' '),
+            statusLine = responseHeaders.firstLine.split(' '),
+            objectSize = toNumber(request.objectSize),
+            entry;
+
+        function getPhase(name) {
+            var ms = toNumber(request[name + '_ms']);
+            return ms > 0 ? ms : -1;
+        }
+
+        entry = {
+            pageref: pageId,
+            startedDateTime: new Date(startDate.getTime() + toNumber(request.load_start)).toISOString(),
+            time: toNumber(request.all_ms),
+            request: {
+                method: request.method || requestLine[0] || 'GET',
+                url: request.full_url,
+                headersSize: -1,
+                bodySize: -1,
+                cookies: [],
+                headers: requestHeaders.headers,
+                httpVersion: requestLine[2] || '',
+                queryString: []
+            },
+            response: {
+                status: toNumber(request.responseCode),
+                statusText: statusLine.slice(2).join(' '),
+                headersSize: -1,
+                bodySize: objectSize,
+                headers: responseHeaders.headers,
+                httpVersion: statusLine[0] || '',
+                redirectURL: '',
+                content: {
+                    size: objectSize,
+                    mimeType: request.contentType || ''
+                },
+                cookies: []
+            },
+            cache: {},
+            timings: {
+                blocked: -1,
+                dns: getPhase('dns'),
+                connect: getPhase('connect'),
+                ssl: getPhase('ssl'),
+                send: 0,
+                wait: toNumber(request.ttfb_ms),
+                receive: toNumber(request.download_ms)
+            }
+        };
+
+        copyFields(entry, request);
+        if (variance && variance.runs > 1) {
+            entry._variance = variance;
+        }
+        return entry;
+    }
+
+    /**
+     * Converts one run of a view to a HAR page and its entries.
+     */
+    function toPage(result, view, data, views) {
+        var pageId = 'page_' + data.run + '_' + VIEWS.indexOf(view),
+            startDate = new Date(toNumber(data.date) * 1000),
+            variance = getVariance(views),
+            keys = getRequestKeys(data.requests),
+            page = {
+                startedDateTime: startDate.toISOString(),
+                title: 'Run ' + data.run + ', ' + VIEW_LABELS[view] + ' for ' + (data.URL || result.url),
+                id: pageId,
+                pageTimings: {
+                    onLoad: toNumber(data.loadTime),
+                    onContentLoad: -1,
+                    _startRender: toNumber(data.render)
+                }
+            };
+
+        return {
+            page: copyFields(page, data),
+            entries: data.requests.map(function (request, i) {
+                return toEntry(request, pageId, startDate, variance[keys[i]]);
+            })
+        };
+    }
+
+    D3HarChart.importers.wpt = {
+        detect: function (data) {
+            var result = data && getResult(data);
+            return Boolean(result && result.runs && typeof result.runs === 'object');
+        },
+
+        /**
+         * @param {object} data - WebPageTest result JSON
+         * @param {object} options - chart options (see above)
+         * @returns {object} HAR object with a page for the picked run of each view
+         */
+        toHar: function (data, options) {
+            var result = getResult(data),
+                pages = [];
+
+            VIEWS.forEach(function (view) {
+                var views = getViews(result, view),
+                    picked = views.length && pickView(result, view, views, options);
+
+                if (picked) {
+                    pages.push(toPage(result, view, picked, views));
+                }
+            });
+
+            if (!pages.length) {
+                throw new Error('No successful runs in WebPageTest result' + (result.id ? ' ' + result.id : ''));
+            }
+
+            return {
+                log: {
+                    version: '1.1',
+                    creator: {name: 'D3HarChart WebPageTest importer', version: '1.0'},
+                    pages: pages.map(function (p) {
+                        return p.page;
+                    }),
+                    entries: pages.reduce(function (entries, p) {
+                        return entries.concat(p.entries);
+                    }, [])
+                }
+            };
+        }
+    };
+
+}());
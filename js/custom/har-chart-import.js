@@ -0,0 +1,65 @@
+/*global D3HarChart*/
+
+/**
+ * Importers for D3HarChart, for showing page loads recorded in formats other than HAR.
+ *
+ * Each importer converts its format into a HAR object, so imported page loads get the same
+ * items (types, tags, providers, timing phases) and the same extensions (milestones,
+ * initiators, connections, details...) as HAR files. D3HarChart#displayObject,
+ * D3HarChart#displayFile and D3HarChart#compareWith accept any format with an importer in
+ * D3HarChart.importers.
+ */
+(function () {
+    'use strict';
+
+    var displayObject = D3HarChart.prototype.displayObject,
+        compareWith = D3HarChart.prototype.compareWith;
+
+    /**
+     * Importers by format name, each with a `detect(data)` function saying whether parsed data
+     * is in its format, and a `toHar(data, options)` function converting it (given the chart's
+     * options).
+     */
+    D3HarChart.importers = {};
+
+    /**
+     * Converts parsed page load data to a HAR object, if it isn't one already.
+     *
+     * @param {object|Array} data - parsed HAR file, or data in a format with an importer
+     * @param {object} [options] - chart options
+     * @returns {object} HAR object
+     */
+    D3HarChart.toHar = function (data, options) {
+        var format;
+
+        if (data && data.log && data.log.entries) {
+            return data;
+        }
+
+        format = Object.keys(D3HarChart.importers).filter(function (name) {
+            return D3HarChart.importers[name].detect(data);
+        })[0];
+        if (!format) {
+            throw new Error('Unrecognized page load data; expected a HAR file or one of: ' +
+                Object.keys(D3HarChart.importers).join(', '));
+        }
+        return D3HarChart.importers[format].toHar(data, options || {});
+    };
+
+    D3HarChart.prototype.displayObject = function (data, pageId) {
+        displayObject.call(this, D3HarChart.toHar(data, this.options), pageId);
+    };
+
+    D3HarChart.prototype.compareWith = function (runs, options, duration) {
+        var chartOptions = this.options;
+
+        compareWith.call(this, runs.map(function (run) {
+            return {
+                harObject: D3HarChart.toHar(run.harObject, chartOptions),
+                pageId: run.pageId,
+                label: run.label
+            };
+        }), options, duration);
+    };
+
+}());
@@ -0,0 +1,282 @@
+/*global D3HarChart, window, Promise*/
+
+/**
+ * Interactive zooming and panning for D3HarChart, for exploring the waterfall during Q&A:
+ *
+ *   - scroll to zoom around the pointer
+ *   - drag to pan
+ *   - shift-drag to brush-select a time range and/or set of rows to zoom to
+ *   - double-click to return to the zoom defined by the current slide
+ *
+ * Each interaction emits `panZoom` (with the new window) or `panZoomReset`, so that another
+ * window can mirror it with D3HarChart#panZoomTo and D3HarChart#resetPanZoom.
+ */
+(function () {
+    'use strict';
+
+    var WHEEL_ZOOM_SPEED = 1.002,  // zoom factor per pixel of wheel movement
+        MIN_DRAG_DISTANCE = 3,     // px; anything less is a click
+        MIN_BRUSH_SIZE = 10,       // px; thinner brushes select only in the other dimension
+        MIN_WINDOW_WIDTH = 10;     // ms
+
+    function getFullWindow(instance) {
+        return {x0: 0, x1: instance.dimensions.width, y0: 0, y1: instance.dimensions.height};
+    }
+
+    function getCurrentWindow(instance) {
+        return instance.zoom || getFullWindow(instance);
+    }
+
+    /**
+     * Moves a window back inside the chart without changing its size (unless it is bigger
+     * than the chart).
+     */
+    function shiftIntoChart(bounds, instance) {
+        var full = getFullWindow(instance);
+
+        ['x', 'y'].forEach(function (axis) {
+            var start = axis + '0',
+                end = axis + '1',
+                size = Math.min(bounds[end] - bounds[start], full[end]);
+
+            if (bounds[start] < 0) {
+                bounds[start] = 0;
+                bounds[end] = size;
+            } else if (bounds[end] > full[end]) {
+                bounds[end] = full[end];
+                bounds[start] = full[end] - size;
+            }
+        });
+        return bounds;
+    }
+
+    /**
+     * Gets the on-screen area of the chart, leaving out anything drawn below it (such as tracks).
+     * Measured from the container, as the chart's SVG is transformed when zoomed.
+     */
+    function getChartRect(instance) {
+        var rect = instance.element.getBoundingClientRect();
+
+        return {
+            left: rect.left,
+            top: rect.top,
+            width: rect.width,
+            height: instance.chartEl.node().clientHeight || rect.height
+        };
+    }
+
+    /**
+     * Gets where a mouse event happened: as a fraction of the chart area (`fx`, `fy`) and in
+     * chart units at the current zoom (`x` in ms, `y` in SVG units).
+     */
+    function getPointer(instance, e) {
+        var rect = getChartRect(instance),
+            current = getCurrentWindow(instance),
+            fx = (e.clientX - rect.left) / rect.width,
+            fy = (e.clientY - rect.top) / rect.height;
+
+        return {
+            fx: fx,
+            fy: fy,
+            x: current.x0 + fx * (current.x1 - current.x0),
+            y: current.y0 + fy * (current.y1 - current.y0)
+        };
+    }
+
+    /**
+     * Enables wheel, drag and brush zooming on the chart.
+     */
+    D3HarChart.prototype.enableInteraction = function () {
+        var instance = this,
+            element = this.element,
+            drag = null,
+            brush = null;
+
+        if (this.interactionEnabled) {
+            return;
+        }
+        this.interactionEnabled = true;
+
+        // Remember the most recent zoom set by a slide, to return to on reset
+        this.slideZoom = this.zoom;
+        this.on('zoom', function (zoom) {
+            if (!instance.panZooming) {
+                instance.slideZoom = zoom;
+                element.classList.remove('pan-zoomed');  // so slide zooms are animated as usual
+            }
+        });
+
+        if (this.annotationsEl) {
+            brush = this.annotationsEl.append('rect').attr('class', 'brush').style('display', 'none');
+        }
+
+        function onWheel(e) {
+            var pointer = getPointer(instance, e),
+                current = getCurrentWindow(instance),
+                factor = Math.pow(WHEEL_ZOOM_SPEED, e.deltaY);
+
+            e.preventDefault();
+            instance.panZoomTo({
+                x0: pointer.x - (pointer.x - current.x0) * factor,
+                x1: pointer.x + (current.x1 - pointer.x) * factor,
+                y0: pointer.y - (pointer.y - current.y0) * factor,
+                y1: pointer.y + (current.y1 - pointer.y) * factor
+            });
+        }
+
+        function getBrushWindow(start, end) {
+            var current = getCurrentWindow(instance),
+                rect = getChartRect(instance),
+                bounds = {
+                    x0: Math.min(start.x, end.x),
+                    x1: Math.max(start.x, end.x),
+                    y0: Math.min(start.y, end.y),
+                    y1: Math.max(start.y, end.y)
+                };
+
+            // A brush that is only a few pixels high selects a time range across all visible rows...
+            if (Math.abs(end.fy - start.fy) * rect.height < MIN_BRUSH_SIZE) {
+                bounds.y0 = current.y0;
+                bounds.y1 = current.y1;
+            }
+            // ... and one that is only a few pixels wide selects rows across the visible time range
+            if (Math.abs(end.fx - start.fx) * rect.width < MIN_BRUSH_SIZE) {
+                bounds.x0 = current.x0;
+                bounds.x1 = current.x1;
+            }
+            return bounds;
+        }
+
+        function drawBrush(start, end) {
+            var rect;
+
+            if (!brush) {
+                return;
+            }
+            rect = getChartRect(instance);
+            brush.style('display', null)
+                .attr('x', Math.min(start.fx, end.fx) * rect.width)
+                .attr('y', Math.min(start.fy, end.fy) * rect.height)
+                .attr('width', Math.abs(end.fx - start.fx) * rect.width)
+                .attr('height', Math.abs(end.fy - start.fy) * rect.height);
+        }
+
+        function onMouseMove(e) {
+            var pointer = getPointer(instance, e),
+                rect = getChartRect(instance),
+                distance = Math.max(Math.abs(pointer.fx - drag.start.fx) * rect.width,
+                    Math.abs(pointer.fy - drag.start.fy) * rect.height);
+
+            if (!drag.moved && distance < MIN_DRAG_DISTANCE) {
+                return;
+            }
+            drag.moved = true;
+
+            if (drag.brushing) {
+                drawBrush(drag.start, pointer);
+                return;
+            }
+
+            // Pan by the distance moved, in terms of the window at the start of the drag
+            instance.panZoomTo({
+                x0: drag.window.x0 - (pointer.fx - drag.start.fx) * (drag.window.x1 - drag.window.x0),
+                x1: drag.window.x1 - (pointer.fx - drag.start.fx) * (drag.window.x1 - drag.window.x0),
+                y0: drag.window.y0 - (pointer.fy - drag.start.fy) * (drag.window.y1 - drag.window.y0),
+                y1: drag.window.y1 - (pointer.fy - drag.start.fy) * (drag.window.y1 - drag.window.y0)
+            });
+        }
+
+        // A click follows the mouseup that ends a drag; stop it from reaching request bars
+        function suppressClick(e) {
+            e.stopPropagation();
+        }
+
+        function onMouseUp(e) {
+            window.removeEventListener('mousemove', onMouseMove);
+            window.removeEventListener('mouseup', onMouseUp);
+
+            if (drag.moved) {
+                element.addEventListener('click', suppressClick, true);
+                window.setTimeout(function () {
+                    element.removeEventListener('click', suppressClick, true);
+                }, 0);
+            }
+
+            if (drag.brushing) {
+                if (brush) {
+                    brush.style('display', 'none');
+                }
+                if (drag.moved) {
+                    instance.panZoomTo(getBrushWindow(drag.start, getPointer(instance, e)), true);
+                }
+            }
+            element.classList.remove('dragging');
+            drag = null;
+        }
+
+        function onMouseDown(e) {
+            if (e.button !== 0) {
+                return;
+            }
+            e.preventDefault();
+
+            drag = {
+                start: getPointer(instance, e),
+                window: getCurrentWindow(instance),
+                brushing: e.shiftKey,
+                moved: false
+            };
+            element.classList.add('dragging');
+            window.addEventListener('mousemove', onMouseMove);
+            window.addEventListener('mouseup', onMouseUp);
+        }
+
+        element.addEventListener('wheel', onWheel);
+        element.addEventListener('mousedown', onMouseDown);
+        element.addEventListener('dblclick', function () {
+            instance.resetPanZoom();
+        });
+    };
+
+    /**
+     * Zooms the chart to a window chosen interactively. Unlike zoomToWindow, this is not
+     * remembered as the slide's zoom.
+     *
+     * @param {object} bounds - `x0`, `x1` (ms) and `y0`, `y1` (SVG units) of the window to show
+     * @param {boolean} [animated] - animate the zoom; continuous interactions (wheel, drag) aren't
+     * @returns {Promise} resolved with the new zoom window once any zoom transition ends
+     */
+    D3HarChart.prototype.panZoomTo = function (bounds, animated) {
+        var config = this.options,
+            result;
+
+        if (bounds.x1 - bounds.x0 < MIN_WINDOW_WIDTH || bounds.y1 - bounds.y0 < config.itemHeight + config.itemMargin) {
+            return Promise.resolve(this.zoom);  // zoomed in as far as it makes sense to
+        }
+
+        bounds = shiftIntoChart(bounds, this);
+
+        this.element.classList.toggle('pan-zoomed', !animated);
+        this.panZooming = true;
+        result = this.zoomToWindow(bounds);
+        this.panZooming = false;
+
+        this.emit('panZoom', bounds, Boolean(animated));
+        return result;
+    };
+
+    /**
+     * Returns the chart to the zoom defined by the current slide.
+     *
+     * @returns {Promise} resolved with the restored zoom window once the zoom transition ends
+     */
+    D3HarChart.prototype.resetPanZoom = function () {
+        var result;
+
+        this.element.classList.remove('pan-zoomed');
+        result = this.zoomToWindow(this.slideZoom);
+        this.emit('panZoomReset');
+        return result;
+    };
+
+}());
@@ -0,0 +1,162 @@
+/*global D3HarChart*/
+
+/**
+ * Page milestone markers (start render, DOMContentLoaded, onLoad...) for D3HarChart.
+ *
+ * Milestones are hidden by default and shown by chart classes, e.g. from a slide state:
+ *   .chart-show-milestones shows all of them,
+ *   .show-milestone-on-load (see D3HarChart#showMilestones) shows a single one.
+ */
+(function () {
+    'use strict';
+
+    /**
+     * Milestones in the order they are usually reached, with the page fields they are read from.
+     * WebPageTest stores start render both in `pageTimings._startRender` and `_render`.
+     */
+    var MILESTONES = [
+        {name: 'firstPaint', label: 'First paint', fields: ['_firstPaint']},
+        {name: 'startRender', label: 'Start render', fields: ['pageTimings._startRender', '_render']},
+        {name: 'domContentLoaded', label: 'DOMContentLoaded', fields: ['pageTimings.onContentLoad', '_domContentLoadedEventStart']},
+        {name: 'onLoad', label: 'onLoad', fields: ['pageTimings.onLoad']},
+        {name: 'visualComplete', label: 'Visually complete', fields: ['_visualComplete']},
+        {name: 'fullyLoaded', label: 'Fully loaded', fields: ['_fullyLoaded']}
+    ];
+
+    var drawPage = D3HarChart.prototype.drawPage;
+
+    function toClassName(state) {
+        return state.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+    }
+
+    function getField(object, path) {
+        return path.split('.').reduce(function (value, key) {
+            return (value === undefined || value === null) ? undefined : value[key];
+        }, object);
+    }
+
+    /**
+     * Gets the milestones reached by a HAR page, skipping any it has no (or a -1) timing for.
+     *
+     * @param {object} page - HAR page
+     * @returns {Array} milestones with `name`, `label` and `time` (ms from page start)
+     */
+    D3HarChart.getPageMilestones = function (page) {
+        return MILESTONES.map(function (milestone) {
+            var time;
+
+            milestone.fields.some(function (field) {
+                var value = Number(getField(page, field));
+                if (value > 0) {
+                    time = value;
+                    return true;
+                }
+                return false;
+            });
+
+            return {
+                name: milestone.name,
+                label: milestone.label,
+                time: time
+            };
+        }).filter(function (milestone) {
+            return milestone.time !== undefined;
+        });
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        drawPage.call(this, data, duration);
+        this.drawMilestones(D3HarChart.getHarPage(this.harObject, this.currentPage), duration);
+    };
+
+    /**
+     * Draws a vertical line and label for each milestone of a page.
+     *
+     * @param {object} page - HAR page
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.drawMilestones = function (page, duration) {
+        var height = this.dimensions.height,
+            unitsPerPixel = this.getUnitsPerPixel(),
+            milestones,
+            entered;
+
+        if (!this.milestonesEl) {
+            this.milestonesEl = this.chartEl.append('g').attr('class', 'milestones');
+            this.on('layout', this.layoutMilestoneLabels);
+        }
+
+        milestones = this.milestonesEl.selectAll('g.milestone')
+            .data(D3HarChart.getPageMilestones(page), function (milestone) {
+                return milestone.name;
+            });
+
+        milestones.exit().remove();
+
+        entered = milestones.enter().append('g')
+            .attr('class', function (milestone) {
+                return 'milestone milestone-' + toClassName(milestone.name);
+            });
+        entered.append('line')
+            .attr('vector-effect', 'non-scaling-stroke')
+            .attr('x1', function (milestone) {
+                return milestone.time;
+            })
+            .attr('x2', function (milestone) {
+                return milestone.time;
+            })
+            .attr('y1', 0);
+        entered.append('text')
+            .attr('x', 4);
+
+        D3HarChart.animate(milestones.select('line'), duration)
+            .attr('x1', function (milestone) {
+                return milestone.time;
+            })
+            .attr('x2', function (milestone) {
+                return milestone.time;
+            })
+            .attr('y2', height);
+
+        // select (rather than selectAll) passes the new milestone data down to the labels
+        milestones.select('text')
+            .attr('y', function (milestone, i) {
+                return 12 * (i + 1);
+            })
+            .text(function (milestone) {
+                return milestone.label;
+            });
+        if (unitsPerPixel) {
+            this.layoutMilestoneLabels(unitsPerPixel, duration);
+        }
+    };
+
+    /**
+     * Milestone labels live inside the chart's stretched viewBox; counter-scale them so that
+     * text isn't distorted.
+     *
+     * @param {object} unitsPerPixel - as returned by getUnitsPerPixel
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.layoutMilestoneLabels = function (unitsPerPixel, duration) {
+        D3HarChart.animate(this.milestonesEl.selectAll('g.milestone').select('text'), duration)
+            .attr('transform', function (milestone) {
+                return 'translate(' + milestone.time + ',0) scale(' + unitsPerPixel.x + ',' + unitsPerPixel.y + ')';
+            });
+    };
+
+    /**
+     * Shows (or hides) individual milestones, in addition to any shown by the current slide state.
+     *
+     * @param {Array} [names] - names of milestones to show; shows none if omitted
+     */
+    D3HarChart.prototype.showMilestones = function (names) {
+        var chartEl = this.chartEl;
+
+        names = names || [];
+        MILESTONES.forEach(function (milestone) {
+            chartEl.classed('show-milestone-' + toClassName(milestone.name), names.indexOf(milestone.name) > -1);
+        });
+    };
+
+}());
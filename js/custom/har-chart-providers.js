@@ -0,0 +1,216 @@
+/*global D3HarChart, d3, Promise*/
+
+/**
+ * Third-party provider registry for D3HarChart, replacing the short list of providers bundled
+ * in the constructor's options with one loaded from a JSON file (see
+ * chart-data/providers.json):
+ *
+ *   {
+ *     "categories": ["ads", "analytics", ...],
+ *     "providers": {
+ *       "chartbeat": {"category": "analytics", "domains": ["chartbeat.com", "chartbeat.net"]},
+ *       ...
+ *     }
+ *   }
+ *
+ * A domain rule matches that host and its subdomains; a leading `*.` matches subdomains only,
+ * and `*` elsewhere matches any characters within one part of a host name
+ * (`*.cloudfront.net`, `cdn*.example.com`).
+ *
+ * Requests get a `provider-<name>` class for each matching provider and a
+ * `provider-category-<category>` class for its category. The `providerGroups` option is
+ * rebuilt from the categories (the bundled groups misspell Chartbeat, so it was never grouped).
+ */
+(function () {
+    'use strict';
+
+    var getItemProviders = D3HarChart.prototype.getItemProviders;
+
+    function escapeRegExp(text) {
+        return text.replace(/[\-\[\]\/{}()+?.\\\^$|]/g, '\\$&');
+    }
+
+    /**
+     * Gets a regular expression source matching host names by a domain rule.
+     */
+    function ruleToPattern(rule) {
+        var subdomainsOnly = rule.indexOf('*.') === 0,
+            host = subdomainsOnly ? rule.substring(2) : rule;
+
+        return (subdomainsOnly ? '([^.]+\\.)+' : '([^.]+\\.)*') +
+            host.split('*').map(escapeRegExp).join('[^.]*');
+    }
+
+    /**
+     * Checks a provider registry and compiles its domain rules.
+     *
+     * @param {object} registry - parsed registry file
+     * @returns {object} `categories` (Array) and `providers`, with a `category` and a `pattern`
+     *   (RegExp) matching host names by name
+     */
+    D3HarChart.parseProviderRegistry = function (registry) {
+        var categories = (registry && registry.categories) || [],
+            providers = {};
+
+        if (!registry || typeof registry.providers !== 'object') {
+            throw new Error('Provider registry has no "providers"');
+        }
+
+        Object.keys(registry.providers).forEach(function (name) {
+            var provider = registry.providers[name],
+                domains = provider.domains || [];
+
+            if (categories.indexOf(provider.category) === -1) {
+                throw new Error('Unknown provider category "' + provider.category + '" for provider "' + name + '"');
+            }
+            if (!domains.length || domains.some(function (rule) {
+                    return typeof rule !== 'string' || !rule;
+                })) {
+                throw new Error('Provider "' + name + '" has no valid domains');
+            }
+
+            providers[name] = {
+                category: provider.category,
+                domains: domains,
+                pattern: new RegExp('^(' + domains.map(ruleToPattern).join('|') + ')$', 'i')
+            };
+        });
+
+        return {categories: categories, providers: providers};
+    };
+
+    /**
+     * Uses a provider registry to tell requests' providers apart, redrawing the chart if it's
+     * already drawn.
+     *
+     * @param {object} registry - parsed registry file
+     */
+    D3HarChart.prototype.setProviders = function (registry) {
+        var instance = this,
+            parsed = D3HarChart.parseProviderRegistry(registry),
+            groups = {};
+
+        parsed.categories.forEach(function (category) {
+            groups[category] = [];
+        });
+        Object.keys(parsed.providers).forEach(function (name) {
+            groups[parsed.providers[name].category].push(name);
+        });
+
+        this.providerRegistry = parsed;
+        this.options.providers = {};
+        Object.keys(parsed.providers).forEach(function (name) {
+            instance.options.providers[name] = parsed.providers[name].domains;
+        });
+        this.options.providerGroups = groups;
+
+        if (this.items) {
+            this.items.data().forEach(function (item) {
+                item.providers = instance.getItemProviders(item);
+            });
+            this.drawPage(this.items.data(), 0);
+        }
+        this.emit('providersChanged', parsed);
+    };
+
+    /**
+     * Loads a provider registry file and uses it (see D3HarChart#setProviders).
+     *
+     * @param {string} path - path to a JSON registry file
+     * @returns {Promise} resolved once the registry is in use
+     */
+    D3HarChart.prototype.loadProviders = function (path) {
+        var instance = this;
+
+        return new Promise(function (resolve, reject) {
+            d3.json(path, function (error, registry) {
+                if (error || !registry) {
+                    reject(new Error('Couldn\'t load provider registry ' + path));
+                    return;
+                }
+                try {
+                    instance.setProviders(registry);
+                } catch (e) {
+                    reject(e);
+                    return;
+                }
+                resolve(instance.providerRegistry);
+            });
+        });
+    };
+
+    /**
+     * With a registry, matches providers by its domain rules, and sets the matching providers'
+     * categories on the item as `providerCategories`.
+     */
+    D3HarChart.prototype.getItemProviders = function (item) {
+        var registry = this.providerRegistry,
+            host = item.domain.replace(/:\d+$/, ''),
+            providers = {};
+
+        if (!registry) {
+            return getItemProviders.call(this, item);
+        }
+
+        item.providerCategories = {};
+        Object.keys(registry.providers).forEach(function (name) {
+            var provider = registry.providers[name];
+            if (provider.pattern.test(host)) {
+                providers[name] = true;
+                item.providerCategories[provider.category] = true;
+            }
+        });
+        return providers;
+    };
+
+    /**
+     * Reports how well the provider registry covers the third-party requests on the displayed
+     * page, to find hosts worth adding to it.
+     *
+     * @returns {object} `hosts`: third-party hosts with their request count and `providers`,
+     *   most requested first; `unmatched`: those with no provider; `requests` and
+     *   `unmatchedRequests`: third-party request counts
+     */
+    D3HarChart.prototype.getProviderCoverage = function () {
+        var byHost = {},
+            hosts;
+
+        this.items.data().forEach(function (item) {
+            var host = item.domain.replace(/:\d+$/, '');
+
+            if (item.tags.firstParty) {
+                return;
+            }
+            if (!byHost[host]) {
+                byHost[host] = {
+                    host: host,
+                    requests: 0,
+                    providers: Object.keys(item.providers).filter(function (name) {
+                        return item.providers[name];
+                    })
+                };
+            }
+            byHost[host].requests += 1;
+        });
+
+        hosts = Object.keys(byHost).map(function (host) {
+            return byHost[host];
+        }).sort(function (a, b) {
+            return b.requests - a.requests || (a.host < b.host ? -1 : 1);
+        });
+
+        return {
+            hosts: hosts,
+            unmatched: hosts.filter(function (host) {
+                return !host.providers.length;
+            }),
+            requests: d3.sum(hosts, function (host) {
+                return host.requests;
+            }),
+            unmatchedRequests: d3.sum(hosts, function (host) {
+                return host.providers.length ? 0 : host.requests;
+            })
+        };
+    };
+
+}());
@@ -0,0 +1,273 @@
+/*global D3HarChart, d3*/
+
+/**
+ * Replay of a page load for D3HarChart: bars grow from t=0 as a playhead moves across the
+ * chart, and milestone markers appear as the playhead reaches them.
+ *
+ * Start with D3HarChart#startReplay, then play in real (or scaled) time with
+ * D3HarChart#playReplay, or step to points in time with D3HarChart#seekReplay (e.g. from
+ * Reveal fragments). On-screen controls allow playing, pausing and scrubbing.
+ */
+(function () {
+    'use strict';
+
+    var REPLAY_SPEED = 1,               // chart ms per real ms
+        SEEK_TRANSITION_DURATION = 500,
+        clipPathCount = 0;
+
+    var drawPage = D3HarChart.prototype.drawPage;
+
+    function msToRoundedS(ms) {
+        var seconds = ms / 1000;
+        return Math.round(seconds * 10) / 10 + 's';
+    }
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        drawPage.call(this, data, duration);
+        if (this.replay) {
+            this.items.attr('clip-path', 'url(#' + this.replayClipPathId + ')');
+            this.setPlayhead(this.replay.time);
+        }
+    };
+
+    /**
+     * Creates the playhead, the clip path that hides what hasn't happened yet, and the replay
+     * controls.
+     */
+    D3HarChart.prototype.createReplayElements = function () {
+        var instance = this,
+            controls;
+
+        this.replayClipPathId = 'replay-clip-' + (clipPathCount += 1);
+        this.replayClipEl = this.chartEl.append('defs').append('clipPath')
+            .attr('id', this.replayClipPathId)
+            .append('rect')
+            .attr('x', 0)
+            .attr('y', 0);
+
+        this.playheadEl = this.chartEl.append('g').attr('class', 'playhead');
+        this.playheadEl.append('line')
+            .attr('vector-effect', 'non-scaling-stroke')
+            .attr('y1', 0);
+        this.playheadEl.append('text')
+            .attr('x', 4)
+            .attr('y', -30);  // px; clear of the time axis
+        this.on('layout', this.layoutPlayheadLabel);
+
+        controls = this.replayControlsEl = d3.select(this.element).append('div')
+            .attr('class', 'replay-controls')
+            .style('display', 'none');
+
+        // Using the controls shouldn't zoom or pan the chart underneath
+        ['wheel', 'mousedown', 'dblclick'].forEach(function (type) {
+            controls.on(type, function () {
+                d3.event.stopPropagation();
+            });
+        });
+
+        controls.append('button')
+            .attr('class', 'replay-toggle')
+            .on('click', function () {
+                if (instance.replay.playing) {
+                    instance.pauseReplay();
+                } else {
+                    instance.playReplay();
+                }
+            });
+        controls.append('input')
+            .attr('class', 'replay-scrubber')
+            .attr('type', 'range')
+            .attr('min', 0)
+            .attr('step', 10)
+            .attr('aria-label', 'Replay time')
+            .on('input', function () {
+                instance.seekReplay(Number(this.value), 0);
+            });
+        controls.append('span').attr('class', 'replay-time');
+    };
+
+    /**
+     * Switches to replay mode, with the playhead at the start of the page load.
+     *
+     * @param {number|string} [time] - where to start the playhead: ms, or a milestone name
+     */
+    D3HarChart.prototype.startReplay = function (time) {
+        if (!this.replayClipEl) {
+            this.createReplayElements();
+        }
+        if (!this.replay) {
+            this.replay = {time: 0, playing: false};
+            this.chartEl.classed('replaying', true);
+            this.items.attr('clip-path', 'url(#' + this.replayClipPathId + ')');
+            this.replayControlsEl.style('display', null);
+            this.updateReplayToggle();
+        }
+
+        this.setPlayhead(this.getReplayTime(time || 0));
+        this.layoutLabels();
+        this.emit('replayStarted');
+    };
+
+    /**
+     * Leaves replay mode, showing the whole page load again.
+     */
+    D3HarChart.prototype.stopReplay = function () {
+        if (!this.replay) {
+            return;
+        }
+        this.pauseReplay();
+        this.replay = null;
+
+        this.chartEl.classed('replaying', false);
+        this.items.attr('clip-path', null);
+        this.replayControlsEl.style('display', 'none');
+        if (this.milestonesEl) {
+            this.milestonesEl.selectAll('g.milestone').classed('reached', false);
+        }
+        this.emit('replayStopped');
+    };
+
+    /**
+     * Converts a replay time given as a milestone name to ms.
+     *
+     * @param {number|string} time - ms, or the name of a milestone of the current page (e.g. 'onLoad')
+     * @returns {number} ms from the start of the page load
+     */
+    D3HarChart.prototype.getReplayTime = function (time) {
+        var milestone;
+
+        if (typeof time === 'number') {
+            return time;
+        }
+        milestone = D3HarChart.getPageMilestones(D3HarChart.getHarPage(this.harObject, this.currentPage))
+            .filter(function (m) {
+                return m.name === time;
+            })[0];
+        if (!milestone) {
+            throw new Error('No milestone "' + time + '" on the current page');
+        }
+        return milestone.time;
+    };
+
+    /**
+     * Moves the playhead, showing everything that happened up to that point.
+     *
+     * @param {number} time - ms from the start of the page load
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.setPlayhead = function (time, duration) {
+        var height = this.dimensions.height,
+            unitsPerPixel = this.getUnitsPerPixel();
+
+        time = Math.max(0, Math.min(time, this.dimensions.width));
+        this.replay.time = time;
+
+        D3HarChart.animate(this.replayClipEl.interrupt(), duration)
+            .attr('width', time)
+            .attr('height', this.options.itemHeight);
+
+        D3HarChart.animate(this.playheadEl.select('line').interrupt(), duration)
+            .attr('x1', time)
+            .attr('x2', time)
+            .attr('y2', height);
+        this.playheadEl.select('text').text(msToRoundedS(time));
+        if (unitsPerPixel) {
+            D3HarChart.animate(this.playheadEl.select('text').interrupt(), duration)
+                .attr('transform', this.getPlayheadLabelTransform(unitsPerPixel));
+        }
+
+        if (this.milestonesEl) {
+            this.milestonesEl.selectAll('g.milestone').classed('reached', function (milestone) {
+                return milestone.time <= time;
+            });
+        }
+
+        this.replayControlsEl.select('.replay-scrubber')
+            .attr('max', Math.ceil(this.dimensions.width))
+            .property('value', time);
+        this.replayControlsEl.select('.replay-time').text(msToRoundedS(time));
+
+        this.emit('playheadMoved', time);
+    };
+
+    D3HarChart.prototype.getPlayheadLabelTransform = function (unitsPerPixel) {
+        return 'translate(' + this.replay.time + ',' + this.dimensions.height + ') ' +
+            'scale(' + unitsPerPixel.x + ',' + unitsPerPixel.y + ')';
+    };
+
+    /**
+     * The playhead label lives inside the chart's stretched viewBox; counter-scale it so that
+     * text isn't distorted.
+     *
+     * @param {object} unitsPerPixel - as returned by getUnitsPerPixel
+     */
+    D3HarChart.prototype.layoutPlayheadLabel = function (unitsPerPixel) {
+        if (this.replay) {
+            this.playheadEl.select('text').attr('transform', this.getPlayheadLabelTransform(unitsPerPixel));
+        }
+    };
+
+    /**
+     * Plays the page load from the playhead's position (or from the start, if it's at the end).
+     *
+     * @param {number} [speed] - chart ms per real ms; defaults to the `replaySpeed` option or
+     *   real time
+     */
+    D3HarChart.prototype.playReplay = function (speed) {
+        var instance = this,
+            replay = this.replay,
+            startTime;
+
+        if (!replay || replay.playing) {
+            return;
+        }
+        speed = speed || this.options.replaySpeed || REPLAY_SPEED;
+        startTime = replay.time >= this.dimensions.width ? 0 : replay.time;
+
+        replay.playing = true;
+        this.updateReplayToggle();
+
+        d3.timer(function (elapsed) {
+            if (!replay.playing || instance.replay !== replay) {
+                return true;  // paused or stopped
+            }
+            instance.setPlayhead(startTime + elapsed * speed);
+            if (replay.time >= instance.dimensions.width) {
+                instance.pauseReplay();
+                return true;
+            }
+            return false;
+        });
+    };
+
+    D3HarChart.prototype.pauseReplay = function () {
+        if (!this.replay) {
+            return;
+        }
+        this.replay.playing = false;
+        this.updateReplayToggle();
+    };
+
+    D3HarChart.prototype.updateReplayToggle = function () {
+        var playing = Boolean(this.replay && this.replay.playing);
+
+        this.replayControlsEl.select('.replay-toggle')
+            .attr('aria-label', playing ? 'Pause' : 'Play')
+            .text(playing ? '❚❚' : '▶');
+    };
+
+    /**
+     * Pauses playback and moves the playhead to a point in time.
+     *
+     * @param {number|string} time - ms, or the name of a milestone of the current page
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.seekReplay = function (time, duration) {
+        if (!this.replay) {
+            this.startReplay();
+        }
+        this.pauseReplay();
+        this.setPlayhead(this.getReplayTime(time), duration === undefined ? SEEK_TRANSITION_DURATION : duration);
+    };
+
+}());
@@ -0,0 +1,235 @@
+/*global D3HarChart, d3, document, window*/
+
+/**
+ * Incremental loading of large HAR files for D3HarChart.
+ *
+ * D3HarChart#streamFile downloads and parses the file in a Web Worker (har-chart-worker.js),
+ * drawing requests as they arrive rather than once the whole file has been parsed, with a
+ * progress bar in the chart until it's done. Where workers aren't available (e.g. when the
+ * deck is opened from file://), it falls back to D3HarChart#displayFile.
+ */
+(function () {
+    'use strict';
+
+    var WORKER_PATH = 'js/custom/har-chart-worker.js',
+        REDRAW_INTERVAL = 250;  // ms between redraws while entries are arriving
+
+    function formatMegabytes(bytes) {
+        return Math.round(bytes / 1024 / 1024 * 10) / 10;
+    }
+
+    /**
+     * Resolves a path against the page, as the worker would resolve it against its own script.
+     */
+    function toAbsoluteUrl(path) {
+        var link = document.createElement('a');
+        link.href = path;
+        return link.href;
+    }
+
+    /**
+     * Shows (or updates) the progress bar.
+     *
+     * @param {number} loaded - bytes downloaded so far
+     * @param {number} total - size of the file in bytes, or 0 if unknown
+     * @param {number} entryCount - requests parsed so far
+     */
+    D3HarChart.prototype.showProgress = function (loaded, total, entryCount) {
+        var progress = d3.select(this.element).select('.chart-progress');
+
+        if (progress.empty()) {
+            progress = d3.select(this.element).append('div')
+                .attr('class', 'chart-progress')
+                .attr('role', 'status');
+            progress.append('progress').attr('max', 1);
+            progress.append('span');
+        }
+
+        // Without a total, leave the bar indeterminate
+        progress.select('progress').attr('value', total ? loaded / total : null);
+        progress.select('span').text('Loading ' + formatMegabytes(loaded) +
+            (total ? ' of ' + formatMegabytes(total) : '') + ' MB, ' + entryCount + ' requests');
+
+        this.emit('loadProgress', loaded, total, entryCount);
+    };
+
+    D3HarChart.prototype.hideProgress = function () {
+        d3.select(this.element).select('.chart-progress').remove();
+    };
+
+    /**
+     * Draws a batch of entries of a HAR file that's still loading, after those already drawn.
+     * Only the new entries are validated and converted; requests are linked to their initiators
+     * once the whole file has arrived (see redrawHar).
+     *
+     * @param {Array} pages - the file's `log.pages`, used when drawing the first batch
+     * @param {Array} entries - newly arrived HAR entries
+     * @param {number} offset - index in `log.entries` of the first new entry
+     */
+    D3HarChart.prototype.appendEntries = function (pages, entries, offset) {
+        var problems = [],
+            valid,
+            harObject;
+
+        if (!this.chartEl) {
+            this.displayObject({log: {pages: pages, entries: entries}});
+            return;
+        }
+
+        valid = D3HarChart.validateEntries(entries, problems, true, offset);
+        this.harProblems = this.harProblems.concat(problems);
+        this.harObject.log.entries = this.harObject.log.entries.concat(valid);
+
+        // Pages as repaired when the first batch was drawn
+        harObject = {log: {pages: this.pages, entries: valid}};
+        this.drawPage(this.items.data().concat(this.getRequestsFromHar(harObject, this.currentPage)), 0);
+        this.layoutLabels();
+    };
+
+    /**
+     * Swaps in a new version of the displayed HAR file (e.g. once all of it has loaded) and
+     * redraws the current page, or draws the chart for the first time if need be.
+     *
+     * @param {object} harObject - HAR object
+     */
+    D3HarChart.prototype.redrawHar = function (harObject) {
+        var problems,
+            error;
+
+        if (!this.chartEl) {
+            this.displayObject(harObject);
+            return;
+        }
+
+        problems = D3HarChart.validateHar(harObject, true);
+        error = D3HarChart.getValidationError(problems, harObject, this.currentPage);
+        if (error) {
+            this.showError(error);
+            throw error;
+        }
+        this.harProblems = problems;
+        this.harObject = harObject;
+        this.pages = harObject.log.pages;
+        this.drawPage(this.getRequestsFromHar(harObject, this.currentPage), 0);
+        this.layoutLabels();
+    };
+
+    /**
+     * Loads and draws a page load file, drawing requests as they arrive. While entries are
+     * arriving, the chart's `streaming` is true.
+     *
+     * @param {string} path - path to a HAR file, or another format with an importer (these are
+     *   drawn once fully loaded)
+     * @param {function} [callback] - called with the chart once the whole file is drawn
+     */
+    D3HarChart.prototype.streamFile = function (path, callback) {
+        var instance = this,
+            pages = null,
+            entries = [],
+            drawnCount = 0,     // entries drawn so far
+            redrawTimeout = null,
+            failed = false,
+            worker;
+
+        /**
+         * @param {Error} [error] - to show in the chart, unless it's already shown
+         */
+        function fail(error) {
+            failed = true;
+            instance.streaming = false;
+            window.clearTimeout(redrawTimeout);
+            instance.hideProgress();
+            if (worker) {
+                worker.terminate();
+            }
+            if (error) {
+                instance.showError(error);
+            }
+        }
+
+        function redraw() {
+            redrawTimeout = null;
+            if (failed || !pages || drawnCount === entries.length) {
+                return;
+            }
+            try {
+                instance.appendEntries(pages, entries.slice(drawnCount), drawnCount);
+            } catch (e) {
+                fail();  // already shown in the chart
+                return;
+            }
+            drawnCount = entries.length;
+        }
+
+        function scheduleRedraw() {
+            if (redrawTimeout === null) {
+                redrawTimeout = window.setTimeout(redraw, REDRAW_INTERVAL);
+            }
+        }
+
+        function finish(data, streamed) {
+            window.clearTimeout(redrawTimeout);
+            instance.hideProgress();
+            instance.streaming = false;
+
+            if (streamed) {
+                data.log.entries = entries;
+            }
+            try {
+                instance.redrawHar(data);
+            } catch (e) {
+                fail();  // already shown in the chart
+                return;
+            }
+            if (callback) {
+                callback(instance);
+            }
+        }
+
+        // Workers can't be started from file://
+        if (window.location.protocol === 'file:') {
+            this.displayFile(path, callback);
+            return;
+        }
+
+        try {
+            worker = new window.Worker(this.options.workerPath || WORKER_PATH);
+        } catch (e) {
+            worker = null;  // not supported
+        }
+        if (!worker) {
+            this.displayFile(path, callback);
+            return;
+        }
+
+        worker.onmessage = function (event) {
+            var message = event.data;
+
+            if (failed) {
+                return;
+            }
+            if (message.type === 'progress') {
+                instance.showProgress(message.loaded, message.total, message.entryCount);
+            } else if (message.type === 'pages') {
+                pages = message.pages;
+                scheduleRedraw();
+            } else if (message.type === 'entries') {
+                entries = entries.concat(message.entries);
+                scheduleRedraw();
+            } else if (message.type === 'done') {
+                finish(message.data, message.streamed);
+            } else if (message.type === 'error') {
+                fail(new Error(message.message));
+            }
+        };
+        worker.onerror = function (event) {
+            event.preventDefault();
+            fail(new Error('Couldn\'t load ' + path + ': ' + event.message));
+        };
+
+        this.streaming = true;
+        this.showProgress(0, 0, 0);
+        worker.postMessage({path: toAbsoluteUrl(path)});
+    };
+
+}());
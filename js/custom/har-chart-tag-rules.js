@@ -0,0 +1,366 @@
+/*global D3HarChart*/
+
+/**
+ * Declarative rules for D3HarChart's `fileTags`, so tags can be written as JSON (in data
+ * attributes or shared config files) rather than as functions. A rule is an object of
+ * conditions on the request, all of which must hold:
+ *
+ *   {"domain": "gawker.com", "path": {"startsWith": "/stats/"}}
+ *   {"type": "script", "duration": {"gt": 500}, "not": {"firstParty": true}}
+ *   {"or": [{"mimeType": {"contains": "font"}}, {"path": {"matches": "\\.woff2?$", "flags": "i"}}]}
+ *   {"header": {"name": "cache-control", "contains": "no-store"}}
+ *
+ * Conditions combine with `and` and `or` (lists of rules) and `not` (a rule). Text fields take
+ * a value to equal (or any of a list of values), or `is`, `in`, `contains`, `startsWith`,
+ * `endsWith` or `matches` (a regular expression, with optional `flags`); `domain` values also
+ * match subdomains. Number fields take a value, or `eq`, `lt`, `lte`, `gt` and `gte`.
+ *
+ * Text fields: url, domain, path, type (file type), mimeType, method, initiator (URL),
+ * initiatorType, provider, providerCategory, tag (in rules filtering drawn items, such as a
+ * slide's data-chart-filter, rather than in tag rules). Number fields: status, start and end
+ * (ms from the start of the page load), duration (ms), size and transferSize (bytes), and the
+ * duration of each timing phase (blocked, dns, connect, ssl, ttfb, download). Flags:
+ * firstParty. `header` tests a response header (or a request header, with `"in": "request"`)
+ * by `name`, with the text operators, or just for its presence.
+ */
+(function () {
+    'use strict';
+
+    var toTagFilter = D3HarChart.toTagFilter;
+
+    function getEntry(item) {
+        return item.entry || {};
+    }
+
+    function getInitiator(entry) {
+        var initiator = entry._initiator;
+        return (initiator && typeof initiator === 'object') ? initiator : {url: initiator, type: entry._initiator_type};
+    }
+
+    function getPhaseDuration(name) {
+        return function (item) {
+            return item.phases.reduce(function (total, phase) {
+                return phase.name === name ? total + phase.duration : total;
+            }, 0);
+        };
+    }
+
+    function getNames(object) {
+        return Object.keys(object || {}).filter(function (name) {
+            return object[name];
+        });
+    }
+
+    /**
+     * Values a rule can test, by field name. Text fields may have several values (e.g. a
+     * request to more than one provider); the condition holds if any of them match.
+     */
+    var TEXT_FIELDS = {
+            url: function (item) {
+                return item.originalUrl;
+            },
+            domain: function (item) {
+                return item.domain.replace(/:\d+$/, '');
+            },
+            path: function (item) {
+                return item.path;
+            },
+            type: function (item) {
+                return item.type;
+            },
+            mimeType: function (item) {
+                var response = getEntry(item).response;
+                return (response && response.content && response.content.mimeType) || '';
+            },
+            method: function (item) {
+                return (getEntry(item).request || {}).method || '';
+            },
+            initiator: function (item) {
+                var initiator = getInitiator(getEntry(item));
+                return initiator.url || (initiator.stack && initiator.stack.callFrames && initiator.stack.callFrames.length ?
+                    initiator.stack.callFrames[0].url : '');
+            },
+            initiatorType: function (item) {
+                return getInitiator(getEntry(item)).type || getEntry(item)._initiatorType || '';
+            },
+            provider: function (item) {
+                return getNames(item.providers);
+            },
+            providerCategory: function (item) {
+                return getNames(item.providerCategories);
+            },
+            // Not set yet while tags are being worked out, so only for filters on drawn items
+            tag: function (item) {
+                return getNames(item.tags);
+            }
+        },
+        NUMBER_FIELDS = {
+            status: function (item) {
+                return (getEntry(item).response || {}).status;
+            },
+            start: function (item) {
+                return item.start;
+            },
+            end: function (item) {
+                return item.end;
+            },
+            duration: function (item) {
+                return item.duration;
+            },
+            size: function (item) {
+                var response = getEntry(item).response || {};
+                return response.content && response.content.size >= 0 ? response.content.size : response.bodySize;
+            },
+            transferSize: function (item) {
+                var entry = getEntry(item),
+                    response = entry.response || {};
+
+                return Number(entry._bytesIn) || Number(entry._transferSize) ||
+                    Math.max(response.headersSize || 0, 0) + Math.max(response.bodySize || 0, 0);
+            }
+        },
+        TEXT_OPERATORS = {
+            is: function (value, expected) {
+                return value === String(expected);
+            },
+            'in': function (value, expected) {
+                return expected.map(String).indexOf(value) > -1;
+            },
+            contains: function (value, expected) {
+                return value.indexOf(expected) > -1;
+            },
+            startsWith: function (value, expected) {
+                return value.indexOf(expected) === 0;
+            },
+            endsWith: function (value, expected) {
+                return value.length >= expected.length && value.substring(value.length - expected.length) === expected;
+            }
+        },
+        NUMBER_OPERATORS = {
+            eq: function (value, expected) {
+                return value === expected;
+            },
+            lt: function (value, expected) {
+                return value < expected;
+            },
+            lte: function (value, expected) {
+                return value <= expected;
+            },
+            gt: function (value, expected) {
+                return value > expected;
+            },
+            gte: function (value, expected) {
+                return value >= expected;
+            }
+        };
+
+    D3HarChart.PHASES.forEach(function (name) {
+        NUMBER_FIELDS[name] = getPhaseDuration(name);
+    });
+
+    function isDomainOf(host, domain) {
+        host = host.toLowerCase();
+        domain = domain.toLowerCase();
+        return host === domain || host.substring(host.length - domain.length - 1) === '.' + domain;
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+    }
+
+    /**
+     * Compiles a test of a text value, e.g. `"script"`, `["a", "b"]` or `{"contains": "a"}`.
+     */
+    function compileTextTest(spec, field, isDomain) {
+        var tests;
+
+        if (!isPlainObject(spec)) {
+            spec = Array.isArray(spec) ? {'in': spec} : {is: spec};
+        }
+
+        // Domains match their subdomains too
+        if (isDomain && (spec.is !== undefined || spec['in'] !== undefined)) {
+            spec = Object.keys(spec).reduce(function (domainSpec, key) {
+                if (key === 'is' || key === 'in') {
+                    domainSpec.domains = (domainSpec.domains || []).concat(spec[key]);
+                } else {
+                    domainSpec[key] = spec[key];
+                }
+                return domainSpec;
+            }, {});
+        }
+
+        tests = Object.keys(spec).filter(function (key) {
+            return key !== 'flags';
+        }).map(function (key) {
+            var expected = spec[key],
+                regex;
+
+            if (key === 'domains') {
+                return function (value) {
+                    return expected.some(function (domain) {
+                        return isDomainOf(value, String(domain));
+                    });
+                };
+            }
+            if (key === 'matches') {
+                regex = expected instanceof RegExp ? expected : new RegExp(expected, spec.flags || '');
+                return function (value) {
+                    return regex.test(value);
+                };
+            }
+            if (!TEXT_OPERATORS[key]) {
+                throw new Error('Unknown tag rule operator "' + key + '" for "' + field + '"');
+            }
+            return function (value) {
+                return TEXT_OPERATORS[key](value, expected);
+            };
+        });
+
+        return function (value) {
+            return tests.every(function (test) {
+                return test(value);
+            });
+        };
+    }
+
+    /**
+     * Compiles a test of a number, e.g. `200` or `{"gte": 100, "lt": 500}`.
+     */
+    function compileNumberTest(spec, field) {
+        var tests;
+
+        if (!isPlainObject(spec)) {
+            spec = {eq: spec};
+        }
+        tests = Object.keys(spec).map(function (key) {
+            if (!NUMBER_OPERATORS[key]) {
+                throw new Error('Unknown tag rule operator "' + key + '" for "' + field + '"');
+            }
+            return function (value) {
+                return typeof value === 'number' && NUMBER_OPERATORS[key](value, Number(spec[key]));
+            };
+        });
+
+        return function (value) {
+            return tests.every(function (test) {
+                return test(value);
+            });
+        };
+    }
+
+    function compileHeaderTest(spec) {
+        var name = String(spec.name || '').toLowerCase(),
+            where = spec['in'] || 'response',
+            valueSpec = {},
+            test;
+
+        if (!name) {
+            throw new Error('Tag rule "header" condition has no "name"');
+        }
+        if (where !== 'request' && where !== 'response') {
+            throw new Error('Unknown tag rule header location "' + where + '"');
+        }
+        Object.keys(spec).forEach(function (key) {
+            if (key !== 'name' && key !== 'in') {
+                valueSpec[key] = spec[key];
+            }
+        });
+        test = Object.keys(valueSpec).length ? compileTextTest(valueSpec, 'header') : null;
+
+        return function (item) {
+            var message = getEntry(item)[where] || {};
+
+            return (message.headers || []).some(function (header) {
+                return header.name.toLowerCase() === name && (!test || test(String(header.value)));
+            });
+        };
+    }
+
+    /**
+     * Compiles a declarative tag rule into a function testing items.
+     *
+     * @param {object} rule - see above
+     * @returns {function} called with an item and the chart as `this`
+     */
+    D3HarChart.compileTagRule = function (rule) {
+        var tests;
+
+        if (!isPlainObject(rule)) {
+            throw new Error('Tag rule must be an object');
+        }
+
+        tests = Object.keys(rule).map(function (key) {
+            var spec = rule[key],
+                getValue,
+                test,
+                rules;
+
+            if (key === 'and' || key === 'or') {
+                if (!Array.isArray(spec)) {
+                    throw new Error('Tag rule "' + key + '" must be a list of rules');
+                }
+                rules = spec.map(D3HarChart.compileTagRule);
+                return function (item) {
+                    var instance = this;
+                    return rules[key === 'and' ? 'every' : 'some'](function (compiled) {
+                        return compiled.call(instance, item);
+                    });
+                };
+            }
+            if (key === 'not') {
+                test = D3HarChart.compileTagRule(spec);
+                return function (item) {
+                    return !test.call(this, item);
+                };
+            }
+            if (key === 'firstParty') {
+                return function (item) {
+                    return Boolean(item.domain.match(this.firstPartyRegex)) === Boolean(spec);
+                };
+            }
+            if (key === 'header') {
+                return compileHeaderTest(spec);
+            }
+            if (TEXT_FIELDS[key]) {
+                getValue = TEXT_FIELDS[key];
+                test = compileTextTest(spec, key, key === 'domain');
+                return function (item) {
+                    return [].concat(getValue(item)).some(function (value) {
+                        return test(String(value));
+                    });
+                };
+            }
+            if (NUMBER_FIELDS[key]) {
+                getValue = NUMBER_FIELDS[key];
+                test = compileNumberTest(spec, key);
+                return function (item) {
+                    return test(getValue(item));
+                };
+            }
+            throw new Error('Unknown tag rule field "' + key + '"');
+        });
+
+        return function (item) {
+            var instance = this;
+            return tests.every(function (test) {
+                return test.call(instance, item);
+            });
+        };
+    };
+
+    /**
+     * Also accepts declarative rules (objects) as tag filters.
+     */
+    D3HarChart.toTagFilter = function (filter, tagName) {
+        if (!isPlainObject(filter)) {
+            return toTagFilter(filter);
+        }
+        try {
+            return D3HarChart.compileTagRule(filter);
+        } catch (e) {
+            throw new Error('Invalid rule for tag "' + tagName + '": ' + e.message);
+        }
+    };
+
+}());
@@ -0,0 +1,246 @@
+/*global D3HarChart, d3*/
+
+/**
+ * Tracks drawn under the waterfall for D3HarChart, sharing its time scale and zoom: stacked
+ * area charts of how many requests are in progress, and how fast bytes are coming in, over
+ * time. Idle stretches of network show up as gaps in both.
+ *
+ * Show tracks with D3HarChart#showTracks, or the `tracks` option. More kinds of track can be
+ * added to D3HarChart.tracks.
+ */
+(function () {
+    'use strict';
+
+    var TRACK_HEIGHT = 50,      // px
+        TRACK_MARGIN = 6,       // px
+        BIN_COUNT = 300,        // time slices to sample each page load at
+        MIN_BIN_SIZE = 10,      // ms
+        TRACK_TYPES = ['script', 'style', 'font', 'image', 'other'];
+
+    var displayObject = D3HarChart.prototype.displayObject,
+        drawPage = D3HarChart.prototype.drawPage;
+
+    /**
+     * Gets how many bytes were received for a request: WebPageTest's `_bytesIn`, falling back to
+     * the standard HAR sizes.
+     */
+    function getBytesIn(entry) {
+        var response = (entry && entry.response) || {},
+            bytes = Number(entry && entry._bytesIn);
+
+        if (bytes > 0) {
+            return bytes;
+        }
+        return Math.max(Number(response.headersSize) || 0, 0) + Math.max(Number(response.bodySize) || 0, 0);
+    }
+
+    function getTrackType(item) {
+        return TRACK_TYPES.indexOf(item.type) > -1 ? item.type : 'other';
+    }
+
+    function formatBytesPerSecond(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return Math.round(bytes / 1024 / 1024 * 10) / 10 + ' MB/s';
+        }
+        return Math.round(bytes / 1024) + ' KB/s';
+    }
+
+    /**
+     * Samples a value for each request type at regular intervals over a page load.
+     *
+     * @param {Array} items - items, as returned by getRequestsFromHar
+     * @param {number} binSize - ms per sample
+     * @param {function} getValue - gets an item's contribution to a sample, given the sample's
+     *   start and end
+     * @returns {Array} layers (one per request type) with `name` and `values` (`x` in ms, `y`)
+     */
+    function sampleByType(items, binSize, getValue) {
+        var end = d3.max(items, function (item) {
+                return item.end;
+            }) || 0,
+            times = d3.range(0, end + binSize, binSize);
+
+        return TRACK_TYPES.map(function (type) {
+            var typeItems = items.filter(function (item) {
+                return getTrackType(item) === type;
+            });
+
+            return {
+                name: type,
+                values: times.map(function (time) {
+                    return {
+                        x: time,
+                        y: d3.sum(typeItems, function (item) {
+                            return getValue(item, time, time + binSize);
+                        })
+                    };
+                })
+            };
+        });
+    }
+
+    /**
+     * Kinds of track, each with a `label` (or a `label(chart)` function), a
+     * `getLayers(items, binSize, chart)` function returning layers to stack (as returned by
+     * sampleByType), and either a `format(value)` function for labelling the top of its scale
+     * or a fixed `max` for the scale.
+     */
+    D3HarChart.tracks = {
+        concurrency: {
+            label: 'Requests in progress',
+            getLayers: function (items, binSize) {
+                return sampleByType(items, binSize, function (item, start, end) {
+                    return (item.start < end && item.end > start) ? 1 : 0;
+                });
+            },
+            format: function (value) {
+                return String(value);
+            }
+        },
+
+        bandwidth: {
+            label: 'Download rate',
+            getLayers: function (items, binSize) {
+                // Assume each response's bytes arrive evenly over its download phase
+                return sampleByType(items, binSize, function (item, start, end) {
+                    var download = item.phases.filter(function (phase) {
+                            return phase.name === 'download' && phase.duration > 0;
+                        })[0] || item,
+                        overlap = Math.min(download.start + download.duration, end) - Math.max(download.start, start);
+
+                    if (overlap <= 0 || !download.duration) {
+                        return 0;
+                    }
+                    return getBytesIn(item.entry) * overlap / download.duration / binSize * 1000;
+                });
+            },
+            format: formatBytesPerSecond
+        }
+    };
+
+    D3HarChart.prototype.displayObject = function (harObject, pageId) {
+        var instance = this;
+
+        displayObject.call(this, harObject, pageId);
+
+        this.tracksEl = d3.select(this.element).append('svg').attr('class', 'chart-tracks');
+        this.on('layout', function (unitsPerPixel, duration) {
+            instance.drawTracks(duration);
+        });
+
+        this.showTracks(this.options.tracks || []);
+    };
+
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        drawPage.call(this, data, duration);
+        this.trackLayers = {};  // recalculated for the new data when next drawn
+    };
+
+    /**
+     * Shows tracks below the waterfall, making room for them by shrinking the chart.
+     *
+     * @param {Array} names - names of tracks (see D3HarChart.tracks) in the order to show them
+     */
+    D3HarChart.prototype.showTracks = function (names) {
+        var height = names.length * (TRACK_HEIGHT + TRACK_MARGIN);
+
+        names.forEach(function (name) {
+            if (!D3HarChart.tracks[name]) {
+                throw new Error('Unknown chart track "' + name + '"');
+            }
+        });
+
+        this.visibleTracks = names;
+        this.chartEl.style('height', height ? 'calc(100% - ' + height + 'px)' : null);
+        this.tracksEl.style('height', height + 'px');
+
+        this.layoutLabels();
+        this.emit('tracksShown', names);
+    };
+
+    /**
+     * Gets a track's layers for the displayed items, stacked.
+     *
+     * @param {string} name - name of the track
+     * @returns {Array} layers, as returned by the track's getLayers, with `y0` set on each value
+     */
+    D3HarChart.prototype.getTrackLayers = function (name) {
+        var data = this.items.data(),
+            binSize;
+
+        if (!this.trackLayers[name]) {
+            binSize = Math.max(this.dimensions.width / BIN_COUNT, MIN_BIN_SIZE);
+            this.trackLayers[name] = d3.layout.stack().values(function (layer) {
+                return layer.values;
+            })(D3HarChart.tracks[name].getLayers(data, binSize, this));
+        }
+        return this.trackLayers[name];
+    };
+
+    /**
+     * Redraws the visible tracks for the visible time window of the chart.
+     *
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.drawTracks = function (duration) {
+        var instance = this,
+            scales = this.getVisibleScales(),
+            tracks;
+
+        if (!scales) {
+            return;  // not currently displayed
+        }
+
+        tracks = this.tracksEl.selectAll('g.track').data(this.visibleTracks, function (name) {
+            return name;
+        });
+        tracks.exit().remove();
+        tracks.enter().append('g')
+            .attr('class', function (name) {
+                return 'track track-' + name;
+            })
+            .each(function () {
+                d3.select(this).append('g').attr('class', 'track-layers');
+                d3.select(this).append('text').attr('class', 'track-label').attr('x', 4).attr('y', 12);
+            });
+        tracks.attr('transform', function (name, i) {
+            return 'translate(0,' + (TRACK_MARGIN + i * (TRACK_HEIGHT + TRACK_MARGIN)) + ')';
+        });
+
+        tracks.each(function (name) {
+            var track = D3HarChart.tracks[name],
+                layers = instance.getTrackLayers(name),
+                max = track.max || d3.max(layers, function (layer) {
+                    return d3.max(layer.values, function (value) {
+                        return value.y0 + value.y;
+                    });
+                }) || 1,
+                label = typeof track.label === 'function' ? track.label(instance) : track.label,
+                y = d3.scale.linear().domain([0, max]).range([TRACK_HEIGHT, 0]),
+                area = d3.svg.area()
+                    .interpolate('step-after')
+                    .x(function (value) {
+                        return scales.x(value.x);
+                    })
+                    .y0(function (value) {
+                        return y(value.y0);
+                    })
+                    .y1(function (value) {
+                        return y(value.y0 + value.y);
+                    }),
+                paths = d3.select(this).select('.track-layers').selectAll('path').data(layers);
+
+            paths.exit().remove();
+            paths.enter().append('path');
+            paths.attr('class', function (layer) {
+                return 'track-layer track-layer-' + layer.name;
+            });
+            D3HarChart.animate(paths, duration).attr('d', function (layer) {
+                return area(layer.values);
+            });
+
+            d3.select(this).select('.track-label').text(track.max ? label : label + ' (max ' + track.format(max) + ')');
+        });
+    };
+
+}());
@@ -0,0 +1,382 @@
+/*global D3HarChart, d3*/
+
+/**
+ * HAR validation for D3HarChart.
+ *
+ * Before a page load is drawn, it is checked against the parts of the HAR 1.2 structure the
+ * chart relies on. Problems the chart can work around are repaired (e.g. a missing MIME type
+ * or `pageTimings`) or the affected entry is left out, and kept as warnings in the chart's
+ * `harProblems`; if nothing can be drawn, the chart shows an error in the slide listing what's
+ * wrong, with the JSON path of each problem, instead of an empty figure.
+ */
+(function () {
+    'use strict';
+
+    var MAX_LISTED_PROBLEMS = 10;
+
+    var displayObject = D3HarChart.prototype.displayObject;
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isDate(value) {
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+    }
+
+    function isDuration(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    function getEarliestStart(entries) {
+        return entries.reduce(function (earliest, entry) {
+            return new Date(entry.startedDateTime) < new Date(earliest) ? entry.startedDateTime : earliest;
+        }, entries[0].startedDateTime);
+    }
+
+    /**
+     * Gets an entry's total time from its timings, or null if they don't add up to one.
+     */
+    function sumTimings(timings) {
+        var total = null;
+
+        if (isObject(timings)) {
+            ['blocked', 'dns', 'connect', 'send', 'wait', 'receive'].forEach(function (name) {
+                if (isDuration(timings[name])) {
+                    total = (total || 0) + timings[name];
+                }
+            });
+        }
+        return total;
+    }
+
+    /**
+     * Checks one entry, repairing what can be repaired.
+     *
+     * @returns {boolean} whether the entry can be drawn
+     */
+    function validateEntry(entry, path, problems, repair) {
+        var time;
+
+        function report(severity, field, message) {
+            problems.push({severity: severity, path: path + field, message: message});
+        }
+
+        if (!isObject(entry)) {
+            report('warning', '', 'is not an object; left out');
+            return false;
+        }
+        if (!isObject(entry.request) || typeof entry.request.url !== 'string') {
+            report('warning', '.request.url', 'is missing; entry left out');
+            return false;
+        }
+        if (!isDate(entry.startedDateTime)) {
+            report('warning', '.startedDateTime', 'is not a valid date; entry left out');
+            return false;
+        }
+
+        if (!isDuration(entry.time)) {
+            time = sumTimings(entry.timings);
+            if (time === null) {
+                report('warning', '.time', 'is not a duration in ms, and there are no timings to work it out from; entry left out');
+                return false;
+            }
+            report('warning', '.time', 'is not a duration in ms; using the sum of its timings');
+            if (repair) {
+                entry.time = time;
+            }
+        }
+        if (!isObject(entry.timings)) {
+            report('warning', '.timings', 'is missing; drawn as a single phase');
+        }
+
+        if (!isObject(entry.response)) {
+            report('warning', '.response', 'is missing; type unknown');
+            if (repair) {
+                entry.response = {status: 0, statusText: '', headers: [], content: {size: -1, mimeType: ''}};
+            }
+        } else if (!isObject(entry.response.content)) {
+            report('warning', '.response.content', 'is missing; type unknown');
+            if (repair) {
+                entry.response.content = {size: -1, mimeType: ''};
+            }
+        } else if (typeof entry.response.content.mimeType !== 'string') {
+            report('warning', '.response.content.mimeType', 'is missing; type unknown');
+            if (repair) {
+                entry.response.content.mimeType = '';
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Checks one page, repairing what can be repaired.
+     */
+    function validatePage(page, index, entries, problems, repair) {
+        var path = '$.log.pages[' + index + ']',
+            pageEntries;
+
+        function report(field, message) {
+            problems.push({severity: 'warning', path: path + field, message: message});
+        }
+
+        if (typeof page.id !== 'string' || !page.id) {
+            report('.id', 'is missing');
+            if (repair) {
+                page.id = 'page_' + (index + 1);
+            }
+        }
+        if (!isDate(page.startedDateTime)) {
+            pageEntries = entries.filter(function (entry) {
+                return entry.pageref === page.id;
+            });
+            report('.startedDateTime', 'is not a valid date; using the start of its first request');
+            if (repair) {
+                page.startedDateTime = getEarliestStart(pageEntries.length ? pageEntries : entries);
+            }
+        }
+        if (!isObject(page.pageTimings)) {
+            report('.pageTimings', 'is missing; no milestones shown');
+            if (repair) {
+                page.pageTimings = {onContentLoad: -1, onLoad: -1};
+            }
+        }
+    }
+
+    /**
+     * Checks HAR entries (e.g. a batch of entries of a file still being loaded), repairing what
+     * can be repaired.
+     *
+     * @param {Array} entries - HAR entries
+     * @param {Array} problems - to add the entries' problems to
+     * @param {boolean} [repair] - whether to fix what can be fixed, in place
+     * @param {number} [offset] - index in `log.entries` of the first entry, for problem paths
+     * @returns {Array} the entries that can be drawn
+     */
+    D3HarChart.validateEntries = function (entries, problems, repair, offset) {
+        return entries.filter(function (entry, i) {
+            return validateEntry(entry, '$.log.entries[' + ((offset || 0) + i) + ']', problems, repair);
+        });
+    };
+
+    /**
+     * Checks a HAR object for problems that would stop it being drawn.
+     *
+     * @param {object} harObject - parsed HAR file
+     * @param {boolean} [repair] - whether to fix what can be fixed, in place: filling in
+     *   missing fields and leaving out unusable entries
+     * @returns {Array} problems, each with a `severity` ('error' if the HAR can't be drawn,
+     *   'warning' otherwise), a JSON `path` and a `message`
+     */
+    D3HarChart.validateHar = function (harObject, repair) {
+        var problems = [],
+            log = isObject(harObject) ? harObject.log : null,
+            entries;
+
+        function fail(path, message) {
+            problems.push({severity: 'error', path: path, message: message});
+            return problems;
+        }
+
+        if (!isObject(harObject)) {
+            return fail('$', 'is not a JSON object');
+        }
+        if (!isObject(log)) {
+            return fail('$.log', 'is missing');
+        }
+        if (!Array.isArray(log.entries)) {
+            return fail('$.log.entries', 'is not an array');
+        }
+
+        entries = D3HarChart.validateEntries(log.entries, problems, repair);
+        if (!entries.length) {
+            return fail('$.log.entries', 'has no requests that can be drawn');
+        }
+        if (repair) {
+            log.entries = entries;
+        }
+
+        // Pages are optional in HAR 1.2
+        if (!Array.isArray(log.pages) || !log.pages.length) {
+            problems.push({severity: 'warning', path: '$.log.pages', message: 'is missing; treating all requests as one page'});
+            if (repair) {
+                log.pages = [{
+                    id: 'page_1',
+                    title: entries[0].request.url,
+                    startedDateTime: getEarliestStart(entries),
+                    pageTimings: {onContentLoad: -1, onLoad: -1}
+                }];
+                entries.forEach(function (entry) {
+                    entry.pageref = 'page_1';
+                });
+            }
+        } else {
+            log.pages.forEach(function (page, i) {
+                if (isObject(page)) {
+                    validatePage(page, i, entries, problems, repair);
+                } else {
+                    fail('$.log.pages[' + i + ']', 'is not an object');
+                }
+            });
+        }
+
+        return problems;
+    };
+
+    /**
+     * Finds the problem, if any, stopping a page of a (repaired) HAR from being drawn because
+     * it's missing or has no requests.
+     */
+    function getPageProblem(harObject, pageId) {
+        var pages = harObject.log.pages,
+            index = pageId === undefined ? 0 : pages.map(function (page) {
+                return page.id;
+            }).indexOf(pageId),
+            page = pages[index];
+
+        if (!page) {
+            return {severity: 'error', path: '$.log.pages', message: 'has no page with ID "' + pageId + '"'};
+        }
+        // Entries are only matched to pages by pageref when there's more than one page
+        if (pages.length > 1 && !harObject.log.entries.some(function (entry) {
+            return entry.pageref === page.id;
+        })) {
+            return {severity: 'error', path: '$.log.pages[' + index + ']', message: 'has no requests (no entries with a matching pageref)'};
+        }
+        return null;
+    }
+
+    /**
+     * Gets the error to show for a HAR's problems, if any of them stop it being drawn.
+     *
+     * @param {Array} problems - as returned by D3HarChart.validateHar
+     * @param {object} [harObject] - the validated HAR, to check that the page to draw has requests
+     * @param {string} [pageId] - ID of the page to draw (defaults to the first page)
+     * @returns {Error|null} error with the `problems` attached
+     */
+    D3HarChart.getValidationError = function (problems, harObject, pageId) {
+        var problem = problems.filter(function (p) {
+                return p.severity === 'error';
+            })[0],
+            error;
+
+        if (!problem && harObject) {
+            problem = getPageProblem(harObject, pageId);
+            if (problem) {
+                problems = problems.concat(problem);
+            }
+        }
+        if (!problem) {
+            return null;
+        }
+        error = new Error('Not a usable HAR file: ' + problem.path + ' ' + problem.message);
+        error.problems = problems;
+        return error;
+    };
+
+    /**
+     * Replaces the chart with a message saying why it couldn't be drawn.
+     *
+     * @param {Error} error - with optional `problems`, as returned by D3HarChart.validateHar
+     */
+    D3HarChart.prototype.showError = function (error) {
+        var problems = error.problems || [],
+            element = d3.select(this.element),
+            errorEl;
+
+        element.selectAll('svg, .chart-error').remove();
+        element.classed('chart-failed', true);
+
+        errorEl = element.append('div')
+            .attr('class', 'chart-error')
+            .attr('role', 'alert');
+        errorEl.append('h3').text('This page load couldn\'t be charted');
+        errorEl.append('p').text(error.message);
+
+        errorEl.append('ul').selectAll('li')
+            .data(problems.slice(0, MAX_LISTED_PROBLEMS))
+            .enter().append('li')
+            .attr('class', function (problem) {
+                return 'problem-' + problem.severity;
+            })
+            .each(function (problem) {
+                d3.select(this).append('code').text(problem.path);
+                d3.select(this).append('span').text(' ' + problem.message);
+            });
+        if (problems.length > MAX_LISTED_PROBLEMS) {
+            errorEl.append('p').text('…and ' + (problems.length - MAX_LISTED_PROBLEMS) + ' more');
+        }
+
+        this.emit('chartError', error);
+    };
+
+    D3HarChart.prototype.displayObject = function (data, pageId) {
+        var harObject,
+            problems,
+            error;
+
+        try {
+            // Let broken HAR files through to validation, which says what's wrong with them
+            harObject = (isObject(data) && data.log) ? data : D3HarChart.toHar(data, this.options);
+            problems = D3HarChart.validateHar(harObject, true);
+            error = D3HarChart.getValidationError(problems, harObject, pageId);
+            if (error) {
+                throw error;
+            }
+            this.harProblems = problems;
+
+            displayObject.call(this, harObject, pageId);
+        } catch (e) {
+            this.showError(e);
+            throw e;
+        }
+    };
+
+    /**
+     * Gets the error to show when d3.json can't load a file. d3 reports HTTP errors with the
+     * request, network failures (offline, blocked by CORS) with the request's error event, and
+     * unparseable responses with the exception thrown parsing them.
+     *
+     * @param {string} path - path of the file
+     * @param {object} [error] - as passed to the d3.json callback
+     * @returns {Error}
+     */
+    D3HarChart.getLoadError = function (path, error) {
+        var reason;
+
+        if (error && error.status) {
+            reason = ' (' + error.status + ' ' + error.statusText + ')';
+        } else if (error && !(error instanceof Error)) {
+            reason = ': network error (offline, or blocked by CORS or the browser\'s file:// restrictions)';
+        } else {
+            reason = ': not valid JSON';
+        }
+        return new Error('Couldn\'t load ' + path + reason);
+    };
+
+    /**
+     * Loads and draws a page load file, showing an error in the chart if it can't be loaded.
+     *
+     * @param {string} path - path to a HAR file, or another format with an importer
+     * @param {function} [callback] - called with the chart once drawn
+     */
+    D3HarChart.prototype.displayFile = function (path, callback) {
+        var instance = this;
+
+        d3.json(path, function (error, data) {
+            if (error || !data) {
+                instance.showError(D3HarChart.getLoadError(path, error));
+                return;
+            }
+            try {
+                instance.displayObject(data);
+            } catch (e) {
+                return;  // already shown in the chart
+            }
+            if (callback) {
+                callback(instance);
+            }
+        });
+    };
+
+}());
@@ -0,0 +1,71 @@
+/*global D3HarChart*/
+
+/**
+ * Run-to-run variance bands for D3HarChart: for requests with a `_variance` (set when
+ * importing a WebPageTest result with several runs; see har-chart-import-wpt.js), shaded
+ * bands behind the bar show the earliest to latest time the request started, and ended, in
+ * any run. Wide bands mark requests whose timing can't be relied on from a single run.
+ *
+ * Hide the bands with the `showVariance: false` option.
+ */
+(function () {
+    'use strict';
+
+    var drawItems = D3HarChart.prototype.drawItems;
+
+    /**
+     * Gets the bands to draw behind an item's bar.
+     *
+     * @param {object} d - item, as returned by getRequestsFromHar
+     * @returns {Array} bands with `name` ('start' or 'end'), `start` and `end`
+     */
+    D3HarChart.getVarianceBands = function (d) {
+        var variance = d.entry && d.entry._variance;
+
+        if (!variance) {
+            return [];
+        }
+        return [
+            {name: 'start', start: variance.startMin, end: variance.startMax},
+            {name: 'end', start: variance.endMin, end: variance.endMax}
+        ].filter(function (band) {
+            return band.end > band.start;
+        });
+    };
+
+    D3HarChart.prototype.drawItems = function (data, duration) {
+        var config = this.options,
+            items = drawItems.call(this, data, duration),
+            bands;
+
+        bands = items.selectAll('rect.variance').data(function (d) {
+            return config.showVariance === false ? [] : D3HarChart.getVarianceBands(d);
+        }, function (band) {
+            return band.name;
+        });
+
+        bands.exit().remove();
+
+        bands.enter().insert('rect', ':first-child')
+            .attr('class', function (band) {
+                return 'variance variance-' + band.name;
+            })
+            .attr('x', function (band) {
+                return band.start;
+            })
+            .attr('y', 0)
+            .attr('width', 0)
+            .attr('height', config.itemHeight);
+
+        D3HarChart.animate(bands, duration)
+            .attr('x', function (band) {
+                return band.start;
+            })
+            .attr('width', function (band) {
+                return band.end - band.start;
+            });
+
+        return items;
+    };
+
+}());
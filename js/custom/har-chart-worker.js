@@ -0,0 +1,167 @@
+/*global self, XMLHttpRequest*/
+
+/**
+ * Web Worker for D3HarChart#streamFile: downloads a HAR file and parses it off the main thread,
+ * posting entries back in batches as soon as each one has arrived.
+ *
+ * Messages posted:
+ *   {type: 'progress', loaded, total, entryCount} - as the download progresses,
+ *   {type: 'pages', pages} - once `log.pages` has arrived,
+ *   {type: 'entries', entries} - each batch of newly arrived `log.entries`,
+ *   {type: 'done', data, streamed} - the parsed file; if `streamed`, without the entries
+ *     already posted,
+ *   {type: 'error', message}.
+ */
+(function () {
+    'use strict';
+
+    /**
+     * Scans JSON text as it arrives, picking out complete items of the `log.pages` and
+     * `log.entries` arrays without waiting for the rest of the document.
+     */
+    function HarScanner(onItems) {
+        this.onItems = onItems;
+        this.pos = 0;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.stringStart = 0;
+        this.lastString = null;
+        this.objectKeys = [];    // key each open object or array is the value of
+        this.array = null;       // array being captured
+        this.itemStart = -1;
+        this.spans = {};         // where each captured array starts and ends
+    }
+
+    HarScanner.prototype.scan = function (text) {
+        var items = [],
+            c,
+            i;
+
+        for (i = this.pos; i < text.length; i += 1) {
+            c = text.charAt(i);
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (c === '\\') {
+                    this.escaped = true;
+                } else if (c === '"') {
+                    this.inString = false;
+                    this.lastString = text.substring(this.stringStart, i);
+                }
+            } else if (c === '"') {
+                this.inString = true;
+                this.stringStart = i + 1;
+            } else if (c === '{' || c === '[') {
+                this.objectKeys[this.depth] = this.lastString;
+                this.depth += 1;
+
+                // An array directly inside `log`
+                if (c === '[' && this.depth === 3 && this.objectKeys[1] === 'log' &&
+                        (this.lastString === 'pages' || this.lastString === 'entries')) {
+                    this.array = this.lastString;
+                    this.spans[this.array] = {start: i};
+                } else if (c === '{' && this.array && this.depth === 4) {
+                    this.itemStart = i;
+                }
+            } else if (c === '}' || c === ']') {
+                this.depth -= 1;
+
+                if (c === '}' && this.array && this.depth === 3) {
+                    items.push(JSON.parse(text.substring(this.itemStart, i + 1)));
+                } else if (c === ']' && this.array && this.depth === 2) {
+                    this.spans[this.array].end = i + 1;
+                    this.onItems(this.array, items, true);
+                    items = [];
+                    this.array = null;
+                }
+            }
+        }
+
+        this.pos = text.length;
+        if (this.array && items.length) {
+            this.onItems(this.array, items, false);
+        }
+    };
+
+    /**
+     * Gets the document with the captured `log.entries` array cut out, for parsing the rest.
+     */
+    HarScanner.prototype.getRemainder = function (text) {
+        var span = this.spans.entries;
+        return text.substring(0, span.start) + '[]' + text.substring(span.end);
+    };
+
+    function load(path) {
+        var xhr = new XMLHttpRequest(),
+            pages = [],
+            entryCount = 0,
+            scanner;
+
+        scanner = new HarScanner(function (array, items, complete) {
+            if (array === 'entries') {
+                entryCount += items.length;
+                self.postMessage({type: 'entries', entries: items});
+            } else {
+                pages = pages.concat(items);
+                if (complete) {
+                    self.postMessage({type: 'pages', pages: pages});
+                }
+            }
+        });
+
+        function fail(message) {
+            self.postMessage({type: 'error', message: message});
+            self.close();
+        }
+
+        xhr.open('GET', path);
+        xhr.onprogress = function (event) {
+            try {
+                scanner.scan(xhr.responseText);
+            } catch (e) {
+                fail('Couldn\'t parse ' + path + ': ' + e.message);
+                xhr.abort();
+                return;
+            }
+            self.postMessage({
+                type: 'progress',
+                loaded: event.loaded,
+                total: event.lengthComputable ? event.total : 0,
+                entryCount: entryCount
+            });
+        };
+        xhr.onload = function () {
+            var text = xhr.responseText,
+                streamed;
+
+            if (xhr.status >= 400) {
+                fail('Couldn\'t load ' + path + ' (' + xhr.status + ' ' + xhr.statusText + ')');
+                return;
+            }
+            try {
+                scanner.scan(text);
+                streamed = Boolean(scanner.spans.entries && scanner.spans.entries.end);
+                self.postMessage({
+                    type: 'done',
+                    data: JSON.parse(streamed ? scanner.getRemainder(text) : text),
+                    streamed: streamed
+                });
+            } catch (e) {
+                fail('Couldn\'t parse ' + path + ': ' + e.message);
+                return;
+            }
+            self.close();
+        };
+        xhr.onerror = function () {
+            fail('Couldn\'t load ' + path);
+        };
+        xhr.send();
+    }
+
+    self.onmessage = function (event) {
+        load(event.data.path);
+    };
+
+}());
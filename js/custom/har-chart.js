@@ -0,0 +1,745 @@
+/*global D3HarChart, d3, window, Promise*/
+
+/**
+ * Presentation-specific extensions to D3HarChart (https://github.com/bregenspan/d3-har-chart).
+ *
+ * Replaces the bundled HAR parsing and rendering so that each request is drawn as a
+ * group of timing phase segments rather than a single bar.
+ */
+(function () {
+    'use strict';
+
+    /**
+     * Timing phases in the order they occur within a request.
+     */
+    var PHASES = ['blocked', 'dns', 'connect', 'ssl', 'ttfb', 'download'],
+        PAGE_TRANSITION_DURATION = 1000,
+        MIN_ZOOM_ROWS = 20;
+
+    function toClassName(state) {
+        return state.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+    }
+
+    function urlAbbreviate(url) {
+        url = url.replace(/^https?:\/\/(www\.)?/i, '');
+        url = url.replace(/\?.*/g, '');
+        url = url.replace(/#.*/g, '');
+        return url;
+    }
+
+    function mimeToFiletype(mimeType) {
+        if (mimeType.indexOf('image') > -1) {
+            return 'image';
+        }
+        if (mimeType.indexOf('script') > -1) {
+            return 'script';
+        }
+        if (mimeType.indexOf('css') > -1) {
+            return 'style';
+        }
+        if (mimeType.indexOf('font') > -1) {
+            return 'font';
+        }
+        return 'other';
+    }
+
+    /**
+     * Transitions a selection when there is a duration to animate over, otherwise updates it
+     * immediately (so an initial draw is complete as soon as it returns).
+     */
+    function animate(selection, duration) {
+        return duration ? selection.transition().duration(duration) : selection;
+    }
+
+    D3HarChart.animate = animate;
+
+    /**
+     * Widens a range of rows to at least `minRows`, around its center, without going past the
+     * first or last row. Stops a zoom to one or two requests from blowing them up to fill the chart.
+     */
+    function getRowWindow(first, last, minRows, rowCount) {
+        var extra = Math.max(minRows - (last - first), 0) / 2;
+
+        first -= extra;
+        last += extra;
+        if (first < 0) {
+            last = Math.min(last - first, rowCount);
+            first = 0;
+        } else if (last > rowCount) {
+            first = Math.max(first - (last - rowCount), 0);
+            last = rowCount;
+        }
+        return [first, last];
+    }
+
+    /**
+     * Gets how long a CSS transition of a property on an element takes, in ms.
+     */
+    function getTransitionDuration(node, property) {
+        var style = window.getComputedStyle(node),
+            properties = (style.transitionProperty || '').split(/\s*,\s*/),
+            durations = (style.transitionDuration || '').split(/\s*,\s*/),
+            index = properties.indexOf(property),
+            duration;
+
+        if (index === -1) {
+            index = properties.indexOf('all');
+        }
+        if (index === -1) {
+            return 0;
+        }
+
+        // Durations are repeated to match the number of properties
+        duration = durations[index % durations.length];
+        return (/ms$/.test(duration) ? parseFloat(duration) : parseFloat(duration) * 1000) || 0;
+    }
+
+    D3HarChart.getTransitionDuration = getTransitionDuration;
+
+    function getItemClassName(d) {
+        var classNames = ['request', 'filetype-' + d.type];
+
+        Object.keys(d.tags).forEach(function (tagName) {
+            if (d.tags[tagName]) {
+                classNames.push('tag-' + toClassName(tagName));
+            }
+        });
+        Object.keys(d.providers).forEach(function (providerName) {
+            if (d.providers[providerName]) {
+                classNames.push('provider-' + providerName);
+            }
+        });
+        Object.keys(d.providerCategories || {}).forEach(function (category) {
+            if (d.providerCategories[category]) {
+                classNames.push('provider-category-' + toClassName(category));
+            }
+        });
+        return classNames.join(' ');
+    }
+
+    /**
+     * Builds a key function identifying items by URL, numbering repeated requests for the
+     * same URL so they are matched up in order across pages.
+     */
+    function getItemKeys(data) {
+        var counts = {};
+
+        data.forEach(function (d) {
+            counts[d.originalUrl] = (counts[d.originalUrl] || 0) + 1;
+            d.key = d.originalUrl + '#' + counts[d.originalUrl];
+        });
+
+        return function (d) {
+            return d.key;
+        };
+    }
+
+    /**
+     * HAR uses -1 for "not applicable" and WPT stores most of its numbers as strings.
+     */
+    function toMs(value) {
+        value = Number(value);
+        return (isNaN(value) || value < 0) ? 0 : value;
+    }
+
+    function hasWptTimings(entry) {
+        return entry._ttfb_ms !== undefined && entry._download_ms !== undefined;
+    }
+
+    /**
+     * Gets the duration of each timing phase of a HAR entry. Prefers the WebPageTest
+     * `_*_ms` fields where available, falling back to standard HAR `timings`.
+     *
+     * @param {object} entry - HAR entry
+     * @returns {object} map of phase name to duration in ms
+     */
+    function getPhaseDurations(entry) {
+        var timings = entry.timings || {},
+            ssl = toMs(timings.ssl);
+
+        if (hasWptTimings(entry)) {
+            return {
+                blocked: toMs(timings.blocked),
+                dns: toMs(entry._dns_ms),
+                connect: toMs(entry._connect_ms),
+                ssl: toMs(entry._ssl_ms),
+                ttfb: toMs(entry._ttfb_ms),
+                download: toMs(entry._download_ms)
+            };
+        }
+
+        // HAR 1.2 includes SSL negotiation time in `connect`
+        return {
+            blocked: toMs(timings.blocked),
+            dns: toMs(timings.dns),
+            connect: Math.max(toMs(timings.connect) - ssl, 0),
+            ssl: ssl,
+            ttfb: toMs(timings.send) + toMs(timings.wait),
+            download: toMs(timings.receive)
+        };
+    }
+
+    /**
+     * Lays out the timing phases of a request end-to-end, starting at the request's start time.
+     * Time not accounted for by the entry's timings is treated as blocked; phases adding up to more
+     * than the request's total duration are scaled down to fit.
+     *
+     * @param {object} entry - HAR entry
+     * @param {number} start - request start time, in ms relative to page start
+     * @param {number} duration - total request duration, in ms
+     * @returns {Array} phases with `name`, `start`, `duration` and `end`
+     */
+    D3HarChart.getTimingPhases = function (entry, start, duration) {
+        var durations = getPhaseDurations(entry),
+            total = 0,
+            scale = 1,
+            offset = start;
+
+        PHASES.forEach(function (name) {
+            total += durations[name];
+        });
+
+        if (total < duration) {
+            durations.blocked += duration - total;
+        } else if (total > duration) {
+            scale = duration / total;
+        }
+
+        return PHASES.filter(function (name) {
+            return durations[name] > 0;
+        }).map(function (name) {
+            var phase = {
+                name: name,
+                start: offset,
+                duration: durations[name] * scale
+            };
+            phase.end = phase.start + phase.duration;
+            offset = phase.end;
+            return phase;
+        });
+    };
+
+    D3HarChart.PHASES = PHASES;
+
+    /**
+     * Gets a page from a HAR file.
+     *
+     * @param {object} harData - parsed HAR file
+     * @param {string} [pageId] - ID of the page to get (defaults to the first page)
+     * @returns {object} HAR page
+     */
+    D3HarChart.getHarPage = function (harData, pageId) {
+        var pages = harData.log.pages,
+            page;
+
+        if (pageId === undefined) {
+            return pages[0];
+        }
+
+        page = pages.filter(function (p) {
+            return p.id === pageId;
+        })[0];
+
+        if (!page) {
+            throw new Error('No page with ID "' + pageId + '" in HAR file');
+        }
+        return page;
+    };
+
+    /**
+     * Gets a function testing whether an item has a tag, from a `fileTags` option entry: a
+     * function (called with the chart as `this`), or a regular expression matched against the
+     * item's URL. Extensions accepting other kinds of filter are also passed the tag's name,
+     * for their error messages.
+     *
+     * @param {function|RegExp} filter
+     * @returns {function}
+     */
+    D3HarChart.toTagFilter = function (filter) {
+        if (typeof filter === 'function') {
+            return filter;
+        }
+        return function (item) {
+            return Boolean(item.url.match(filter));
+        };
+    };
+
+    /**
+     * Gets the requests made by one page of a HAR file.
+     *
+     * @param {object} harData - parsed HAR file
+     * @param {string} [pageId] - ID of the page to get requests for (defaults to the first page)
+     * @returns {Array} items, ordered by start time
+     */
+    D3HarChart.prototype.getRequestsFromHar = function (harData, pageId) {
+        var config = this.options,
+            instance = this,
+            harLog = harData.log,
+            page = D3HarChart.getHarPage(harData, pageId),
+            entries = harLog.entries,
+            startDate = new Date(page.startedDateTime),
+            onLoad = page.pageTimings.onLoad,
+            tagFilters = {},
+            items;
+
+        function getFileTags(item) {
+            var tags = {};
+
+            Object.keys(tagFilters).forEach(function (tagName) {
+                tags[tagName] = Boolean(tagFilters[tagName].call(instance, item));
+            });
+            return tags;
+        }
+
+        Object.keys(config.fileTags).forEach(function (tagName) {
+            tagFilters[tagName] = D3HarChart.toTagFilter(config.fileTags[tagName], tagName);
+        });
+
+        if (harLog.pages.length > 1) {
+            entries = entries.filter(function (entry) {
+                return entry.pageref === page.id;
+            });
+        }
+
+        items = entries.map(function (entry) {
+            var startTimeMs = new Date(entry.startedDateTime) - startDate,
+                url = urlAbbreviate(entry.request.url);
+
+            return {
+                type: mimeToFiletype(entry.response.content.mimeType || ''),
+                originalUrl: entry.request.url,
+                url: url,
+                domain: url.substring(0, url.indexOf('/')),
+                path: url.substring(url.indexOf('/')),
+                start: startTimeMs,
+                duration: entry.time,
+                end: Math.round(startTimeMs + entry.time),
+                phases: D3HarChart.getTimingPhases(entry, startTimeMs, entry.time),
+                entry: entry
+            };
+        });
+
+        // Providers first, so that tags can depend on them
+        items.forEach(function (item) {
+            item.providers = instance.getItemProviders(item);
+            item.tags = getFileTags(item);
+        });
+
+        // onLoad is -1 if the page never finished loading
+        if (typeof onLoad !== 'number' || onLoad < 0) {
+            return items;
+        }
+        return items.filter(function (item) {
+            return item.start <= onLoad;
+        });
+    };
+
+    /**
+     * Gets the third-party providers a request was made to, from the `providers` option (lists
+     * of domains by provider name).
+     *
+     * @param {object} item - item, as built by getRequestsFromHar
+     * @returns {object} `true` by name for each matching provider
+     */
+    D3HarChart.prototype.getItemProviders = function (item) {
+        var config = this.options,
+            providers = {};
+
+        Object.keys(config.providers).forEach(function (providerName) {
+            var providerRegex = D3HarChart.arrayToDomainRegex(config.providers[providerName]);
+            if (item.domain.match(providerRegex)) {
+                providers[providerName] = true;
+            }
+        });
+        return providers;
+    };
+
+    D3HarChart.prototype.displayObject = function (harObject, pageId) {
+        this.harObject = harObject;
+        this.pages = harObject.log.pages;
+        this.currentPage = D3HarChart.getHarPage(harObject, pageId).id;
+
+        this.chartEl = d3.select(this.element).append('svg')
+            .attr('preserveAspectRatio', 'none');
+
+        this.drawPage(this.getRequestsFromHar(harObject, this.currentPage), 0);
+        this.layoutLabels();
+
+        if (!this.resizeListener) {
+            this.resizeListener = this.layoutLabels.bind(this);
+            window.addEventListener('resize', this.resizeListener);
+        }
+    };
+
+    /**
+     * Switches the chart to another page of the displayed HAR file (e.g. from first view
+     * to repeat view). Requests for the same URL on both pages are animated into their new
+     * position; the rest fade in or out.
+     *
+     * @param {string} pageId - ID of the page to show
+     * @param {number} [duration] - transition duration in ms
+     */
+    D3HarChart.prototype.showPage = function (pageId, duration) {
+        var data;
+
+        if (pageId === this.currentPage) {
+            return;
+        }
+
+        data = this.getRequestsFromHar(this.harObject, pageId);
+        this.currentPage = pageId;
+
+        if (duration === undefined) {
+            duration = this.options.pageTransitionDuration;
+        }
+        this.drawPage(data, duration === undefined ? PAGE_TRANSITION_DURATION : duration);
+        this.layoutLabels();
+
+        this.emit('pageShown', pageId, data);
+    };
+
+    /**
+     * Sizes the chart for a set of items and draws them.
+     *
+     * @param {Array} data - items, as returned by getRequestsFromHar
+     * @param {number} duration - transition duration in ms
+     */
+    D3HarChart.prototype.drawPage = function (data, duration) {
+        this.dimensions = this.getChartSize(data);
+
+        animate(this.chartEl, duration)
+            .attr('viewBox', '0 0 ' + this.dimensions.width + ' ' + this.dimensions.height);
+
+        this.items = this.drawItems(data, duration);
+    };
+
+    /**
+     * Gets the size of chart needed to show a set of items, in SVG user units (ms horizontally,
+     * rows vertically).
+     *
+     * @param {Array} data - items, as returned by getRequestsFromHar
+     * @returns {object} `width` and `height`
+     */
+    D3HarChart.prototype.getChartSize = function (data) {
+        var config = this.options,
+            instance = this,
+            rowCount = d3.max(data, function (d, i) {
+                return instance.getItemRow(d, i) + 1;
+            }) || 0;
+
+        return {
+            width: d3.max(data, function (d) {
+                return d.end;
+            }) || 0,
+            height: (config.itemHeight + config.itemMargin) * rowCount
+        };
+    };
+
+    /**
+     * Gets the row an item is drawn in. By default every request gets its own row.
+     *
+     * @param {object} d - item
+     * @param {number} i - index of the item in the displayed data
+     * @returns {number} row index
+     */
+    D3HarChart.prototype.getItemRow = function (d, i) {
+        return i;
+    };
+
+    /**
+     * Gets the size of an on-screen pixel in SVG user units (at the current zoom level), for
+     * counter-scaling text drawn inside the chart's stretched viewBox.
+     *
+     * @returns {object|null} `x` and `y` scale, or null if the chart isn't currently displayed
+     */
+    D3HarChart.prototype.getUnitsPerPixel = function () {
+        var svg = this.chartEl.node(),
+            zoom = this.zoom || {scaleX: 1, scaleY: 1};
+
+        if (!svg.clientWidth || !svg.clientHeight || !this.dimensions.width) {
+            return null;
+        }
+        return {
+            x: this.dimensions.width / svg.clientWidth / zoom.scaleX,
+            y: this.dimensions.height / svg.clientHeight / zoom.scaleY
+        };
+    };
+
+    /**
+     * Asks extensions drawing text into the chart to re-lay it out (via the `layout` event).
+     * Needs to be called whenever the chart's on-screen size or zoom level changes.
+     *
+     * @param {number} [duration] - how long the change takes to animate, in ms
+     */
+    D3HarChart.prototype.layoutLabels = function (duration) {
+        var unitsPerPixel = this.getUnitsPerPixel();
+
+        if (unitsPerPixel) {
+            this.emit('layout', unitsPerPixel, duration || 0);
+        }
+    };
+
+    /**
+     * Zooms and pans the chart so that the items matching a filter fill it.
+     *
+     * @param {function} [filter] - selects the items to frame; resets zoom if omitted
+     * @param {number} [margin] - extra space around the framed items, as a fraction of their extent
+     * @returns {Promise} resolved with the new zoom window once the zoom transition ends
+     */
+    D3HarChart.prototype.zoomToItems = function (filter, margin) {
+        var config = this.options,
+            rowHeight = config.itemHeight + config.itemMargin,
+            instance = this,
+            data = this.items.data(),
+            minRows = this.options.minZoomRows || MIN_ZOOM_ROWS,
+            filtered,
+            rows;
+
+        if (!filter) {
+            return this.zoomToWindow();
+        }
+
+        rows = [];
+        filtered = data.filter(function (d, i) {
+            var matches = filter(d, i);
+            if (matches) {
+                rows.push(instance.getItemRow(d, i));
+            }
+            return matches;
+        });
+        if (!filtered.length) {
+            return this.zoomToWindow();
+        }
+
+        rows = getRowWindow(d3.min(rows), d3.max(rows) + 1, minRows, this.dimensions.height / rowHeight);
+
+        return this.zoomToWindow({
+            x0: d3.min(filtered, function (d) {
+                return d.start;
+            }),
+            x1: d3.max(filtered, function (d) {
+                return d.end;
+            }),
+            y0: rows[0] * rowHeight,
+            y1: rows[1] * rowHeight
+        }, margin);
+    };
+
+    /**
+     * Zooms and pans the chart so that a window of it fills the chart area. Zooming is done with
+     * a CSS transform on the chart's own SVG element, so is animated by its CSS transition.
+     *
+     * @param {object} [bounds] - `x0`, `x1` (ms) and `y0`, `y1` (SVG units) of the window to show;
+     *                            shows the whole chart if omitted
+     * @param {number} [margin] - extra space around the window, as a fraction of its size
+     * @returns {Promise} resolved with the new zoom window once the zoom transition ends
+     */
+    D3HarChart.prototype.zoomToWindow = function (bounds, margin) {
+        var node = this.chartEl.node(),
+            width = this.dimensions.width,
+            height = this.dimensions.height,
+            previous = this.zoom,
+            duration,
+            marginX,
+            marginY,
+            zoom;
+
+        bounds = bounds || {x0: 0, x1: width, y0: 0, y1: height};
+        margin = margin || 0;
+        marginX = (bounds.x1 - bounds.x0) * margin;
+        marginY = (bounds.y1 - bounds.y0) * margin;
+
+        zoom = {
+            x0: Math.max(bounds.x0 - marginX, 0),
+            x1: Math.min(bounds.x1 + marginX, width),
+            y0: Math.max(bounds.y0 - marginY, 0),
+            y1: Math.min(bounds.y1 + marginY, height)
+        };
+        zoom.scaleX = width / (zoom.x1 - zoom.x0 || width);
+        zoom.scaleY = height / (zoom.y1 - zoom.y0 || height);
+        zoom.transform = 'scale(' + zoom.scaleX + ',' + zoom.scaleY + ') ' +
+            'translate(' + (-100 * zoom.x0 / width) + '%,' + (-100 * zoom.y0 / height) + '%)';
+
+        this.zoom = zoom;
+        this.emit('zoom', zoom);
+
+        // Read after `zoom` listeners have run, as they may change how the zoom is animated
+        duration = getTransitionDuration(node, 'transform');
+        this.layoutLabels(duration);
+
+        return new Promise(function (resolve) {
+            function onTransitionEnd(e) {
+                if (e.target === node && e.propertyName === 'transform') {
+                    node.removeEventListener('transitionend', onTransitionEnd);
+                    resolve(zoom);
+                }
+            }
+
+            node.style.transform = zoom.transform;
+
+            if (!duration || (previous && previous.transform === zoom.transform)) {
+                resolve(zoom);
+                return;
+            }
+
+            node.addEventListener('transitionend', onTransitionEnd);
+
+            // transitionend never fires if the transition is interrupted or the chart is hidden
+            window.setTimeout(function () {
+                node.removeEventListener('transitionend', onTransitionEnd);
+                resolve(zoom);
+            }, duration + 100);
+        });
+    };
+
+    /**
+     * Ways of drawing the requests' timing phases, by name. Each has a `draw(chart, items,
+     * duration)` function, given the request groups drawn by D3HarChart#drawItems, and
+     * optionally a `detach(chart)` function for cleaning up when the chart switches to another
+     * renderer. See har-chart-canvas.js for drawing large page loads to a canvas instead.
+     */
+    D3HarChart.renderers = {
+        svg: {
+            /**
+             * Draws a rect in each request group for each of its timing phases.
+             */
+            draw: function (chart, items, duration) {
+                var phases = items.selectAll('rect.phase').data(function (d) {
+                    return d.phases;
+                }, function (phase) {
+                    return phase.name;
+                });
+
+                phases.exit().remove();
+
+                phases.enter().append('rect')
+                    .attr('class', function (phase) {
+                        return 'phase phase-' + phase.name;
+                    })
+                    .attr('x', function (phase) {
+                        return phase.start;
+                    })
+                    .attr('y', 0)
+                    .attr('width', 0)
+                    .attr('height', chart.options.itemHeight);
+
+                animate(phases, duration)
+                    .attr('x', function (phase) {
+                        return phase.start;
+                    })
+                    .attr('width', function (phase) {
+                        return phase.duration;
+                    });
+            }
+        }
+    };
+
+    /**
+     * Gets the name of the renderer to draw a set of items with: the `renderer` option, or by
+     * default SVG. Extensions choosing a renderer by the items drawn are passed the items, as
+     * returned by getRequestsFromHar.
+     *
+     * @returns {string} name of a renderer in D3HarChart.renderers
+     */
+    D3HarChart.prototype.getRendererName = function () {
+        var name = this.options.renderer || 'svg';
+
+        if (!D3HarChart.renderers[name]) {
+            throw new Error('Unknown chart renderer "' + name + '"');
+        }
+        return name;
+    };
+
+    /**
+     * Sets the `highlighted` and `dimmed` classes of request groups (see
+     * D3HarChart#highlightItems).
+     */
+    function classHighlightedItems(chart, items) {
+        var filters = chart.highlightFilters || {};
+
+        function matches(filter, d) {
+            return Boolean(filter && filter.call(chart, d));
+        }
+
+        items
+            .classed('highlighted', function (d) {
+                return matches(filters.highlight, d) && !matches(filters.dim, d);
+            })
+            .classed('dimmed', function (d) {
+                return (filters.highlight && !matches(filters.highlight, d)) || matches(filters.dim, d);
+            });
+    }
+
+    /**
+     * Highlights the items matching one filter, dimming the rest, and/or dims the items matching
+     * another. Clears highlighting if neither is given. The classes are kept when items are
+     * redrawn.
+     *
+     * @param {function} [highlight] - selects the items to highlight (called with the chart as `this`)
+     * @param {function} [dim] - selects the items to dim (called with the chart as `this`)
+     */
+    D3HarChart.prototype.highlightItems = function (highlight, dim) {
+        this.highlightFilters = {highlight: highlight, dim: dim};
+        classHighlightedItems(this, this.items);
+    };
+
+    /**
+     * Draws one group per request, with its timing phases drawn inside by the chart's renderer.
+     * Tag, provider and filetype classes are set on the group; phase classes on its segments.
+     * Groups are keyed by URL so that redrawing with another page's items updates them in place.
+     *
+     * @param {Array} data - items, as returned by getRequestsFromHar
+     * @param {number} [duration] - transition duration in ms for updated, added and removed items
+     * @returns {d3.selection} request groups
+     */
+    D3HarChart.prototype.drawItems = function (data, duration) {
+        var config = this.options,
+            instance = this,
+            renderer = this.getRendererName(data),
+            items;
+
+        duration = duration || 0;
+
+        function getRowTransform(d, i) {
+            return 'translate(0,' + instance.getItemRow(d, i) * (config.itemHeight + config.itemMargin) + ')';
+        }
+
+        items = this.chartEl.selectAll('g.request').data(data, getItemKeys(data));
+
+        animate(items.exit().attr('id', null).classed('request', false), duration)
+            .style('opacity', 0)
+            .remove();
+
+        items.enter().append('g')
+            .attr('transform', getRowTransform)
+            .style('opacity', duration ? 0 : 1)
+            .on('mouseover', function (d) {
+                instance.emit('itemSelected', this, d);
+            })
+            .on('mouseout', function (d) {
+                instance.emit('itemDeselected', this, d);
+            });
+
+        animate(items
+            .attr('id', function (d, i) {
+                return 'chartEntry' + i;
+            })
+            .attr('class', getItemClassName)
+            .attr('title', function (d) {
+                return d.domain + d.path;
+            })
+            .order(), duration)
+            .style('opacity', 1)
+            .attr('transform', getRowTransform);
+        classHighlightedItems(this, items);
+
+        if (this.renderer && this.renderer !== renderer && D3HarChart.renderers[this.renderer].detach) {
+            D3HarChart.renderers[this.renderer].detach(this);
+        }
+        this.renderer = renderer;
+        D3HarChart.renderers[renderer].draw(this, items, duration);
+
+        return items;
+    };
+
+}());